@@ -88,6 +88,46 @@ export async function notifySubExpired(userId) {
   });
 }
 
+// 4) Сообщение: платёж возвращён, оплаченный период снят
+export async function notifySubRefunded(userId, stars, untilISO) {
+  const until = untilISO ? new Date(untilISO) : null;
+  const rest = until && until > new Date()
+    ? `Подписка активна до *${until.toLocaleDateString("ru-RU", { day: "2-digit", month: "2-digit", year: "numeric" })}*.`
+    : `Активной подписки больше нет.`;
+  const text =
+    `↩️ Возврат оформлен: ${stars} ⭐ вернутся на ваш баланс Telegram.\n\n` +
+    `Оплаченный этим платежом период снят. ${rest}`;
+
+  await bot.api.sendMessage(userId, text, {
+    parse_mode: "Markdown",
+    reply_markup: openAppKeyboard(),
+  });
+}
+
+
+// 5) Сообщение: пользователь перенесён на другой сервер
+//    reason: 'down' — сервер упал, 'maintenance' — плановый вывод/перераспределение
+export async function notifyServerMoved(userId, link, serverName, reason = "down") {
+  const headline = reason === "maintenance"
+    ? "🔁 Плановые работы на сервере — мы перенесли вас"
+    : "🔁 Ваш сервер временно недоступен — мы перенесли вас";
+  const text =
+    `${headline}${serverName ? ` на *${serverName}*` : ""}.\n\n` +
+    `Если подключены по ссылке-подписке, просто обновите её в приложении. ` +
+    `Иначе импортируйте новый ключ:\n\n\`${link}\``;
+
+  await bot.api.sendMessage(userId, text, {
+    parse_mode: "Markdown",
+    reply_markup: openAppKeyboard(),
+  });
+}
+
+
+// Ошибка обработчика в polling-режиме не должна останавливать бота
+// (в webhook-режиме ошибка уходит в Express → 500, и Telegram повторит апдейт)
+bot.catch((err) => {
+  console.error("[bot] update", err.ctx?.update?.update_id, err.error?.description || err.error?.message || err.error);
+});
 
 // Команда /start — приветствие + кнопка открытия мини-аппа
 bot.command("start", async (ctx) => {
@@ -104,57 +144,55 @@ bot.command("start", async (ctx) => {
   });
 });
 
-// 1) Подтверждаем оплату (обязательно), иначе Telegram отменит платёж
-bot.on("pre_checkout_query", async (ctx) => {
+// 1) pre_checkout_query проверяется в index.js (план, точная сумма, блокировки, срок счёта)
+//    — ответить нужно в течение 10 секунд, иначе Telegram отменит платёж.
+// 2) Успешная оплата Stars обрабатывается в index.js (bot.on("message:successful_payment")):
+//    там ledger и выдача подписки, без HTTP-прыжка бот → API.
+
+
+// Запуск приёма апдейтов (вызывается из index.js после инициализации БД)
+//   mode = 'webhook' — регистрируем webhook с secret_token; апдейты приходят в /api/tg/webhook
+//   mode = 'polling' — снимаем webhook и запускаем long polling (только один инстанс!)
+export async function startBot({ mode = "polling", webhookUrl = "", secretToken = "" } = {}) {
   try {
-    await ctx.answerPreCheckoutQuery(true);
+    await bot.api.setMyCommands([
+      { command: "status",  description: "Срок и тариф подписки" },
+      { command: "key",     description: "Прислать ключ и QR-код" },
+      { command: "renew",   description: "Продлить подписку" },
+      { command: "devices", description: "Привязанные устройства" },
+      { command: "support", description: "Написать в поддержку" },
+    ]);
   } catch (e) {
-    console.error("[pre_checkout_query]", e?.description || e?.message || e);
+    console.warn("setMyCommands warn:", e?.description || e?.message || e);
   }
-});
 
-// 2) Успешная оплата Stars → активируем подписку через backend
-bot.on("message:successful_payment", async (ctx) => {
-  try {
-    const sp = ctx.message.successful_payment;
-    const payload = sp.invoice_payload || ""; // вида: "plan=1m;userId=123"
-    const p = Object.fromEntries(
-      payload.split(";").map(s => s.split("=").map(x => (x || "").trim()))
-    );
-    const plan = p.plan || "1m";
-    const userId = Number(p.userId || ctx.from.id);
-
-    // Дергаем наш backend, который активирует подписку
-    const api = process.env.API_URL; // добавь переменную окружения на Render
-    if (api) {
-      await fetch(api + "/api/pay/confirm", {
-        method: "POST",
-        headers: { "Content-Type": "application/json", "X-From-Bot": "1" },
-        body: JSON.stringify({ userId, plan })
-      });
+  if (mode === "webhook") {
+    if (!webhookUrl) {
+      console.warn("Bot webhook mode: TELEGRAM_WEBHOOK_URL/PUBLIC_URL not set, keeping current webhook");
+      return;
     }
+    await bot.api.setWebhook(webhookUrl, {
+      secret_token: secretToken || undefined,
+      allowed_updates: ["message", "callback_query", "pre_checkout_query"],
+    });
+    console.log("Bot webhook set:", webhookUrl);
+    return;
+  }
 
-    await ctx.reply("✅ Платёж получен! Подписка активирована. Откройте мини-приложение и подключитесь к VPN.");
+  // Сначала снимаем webhook (важно для деплоя/рестартов), потом запускаем long polling
+  try {
+    await bot.api.deleteWebhook({ drop_pending_updates: true });
   } catch (e) {
-    console.error("[successful_payment]", e?.description || e?.message || e);
+    console.warn("deleteWebhook warn:", e?.description || e?.message || e);
   }
-});
 
-
-// Сначала снимаем webhook (важно для деплоя/рестартов), потом запускаем long polling
-try {
-  await bot.api.deleteWebhook({ drop_pending_updates: true });
-} catch (e) {
-  console.warn('deleteWebhook warn:', e?.description || e?.message || e);
+  bot.start({ onStart: () => console.log("Bot started (long polling)") })
+    .catch((e) => {
+      // Если вдруг race-condition и уже есть активный getUpdates — не валим процесс
+      if (String(e?.description || e).includes("terminated by other getUpdates")) {
+        console.warn("Bot start warning: another getUpdates in progress, will keep API running");
+      } else {
+        throw e; // любые другие ошибки — пусть падают, чтобы мы их увидели в логах
+      }
+    });
 }
-
-bot.start({ onStart: () => console.log('Bot started (long polling)') })
-  .catch((e) => {
-    // Если вдруг race-condition и уже есть активный getUpdates — не валим процесс
-    if (String(e?.description || e).includes('terminated by other getUpdates')) {
-      console.warn('Bot start warning: another getUpdates in progress, will keep API running');
-    } else {
-      throw e; // любые другие ошибки — пусть падают, чтобы мы их увидели в логах
-    }
-  });
-
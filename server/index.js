@@ -3,18 +3,22 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import crypto from 'node:crypto';
+import net from 'node:net';
+import tls from 'node:tls';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // ← сюда вставляем запуск бота
-import "./bot.js";
-import { bot, notifySubActivated, notifySubExpiring, notifySubExpired } from "./bot.js";
+import { webhookCallback, InputFile } from 'grammy';
+import QRCode from 'qrcode';
+import { bot, startBot, notifySubActivated, notifySubExpiring, notifySubExpired, notifySubRefunded, notifyServerMoved } from "./bot.js";
 
 
 
 const app = express();
+app.set('trust proxy', 1); // ровно один прокси (Render): https в req.protocol и реальный req.ip, X-Forwarded-* клиента не доверяем
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 
@@ -33,11 +37,6 @@ const md5Hex = (s)=> crypto.createHash('md5').update(s).digest('hex');
 const rnd = (n = 32) => crypto.randomBytes(n).toString('hex');
 
 
-async function getTariffByCode(code){
-  const q = await pool.query(`select code, title, price_rub from tariffs where code = $1`, [code]);
-  return q.rows[0] || null;
-}
-
 // === DB (Neon Postgres) ======================================
 import pkg from 'pg';
 const { Pool } = pkg;
@@ -46,25 +45,17 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: { rejectUnauthorized: false }, // для serverless Postgres
 });
-// --- Тарифы по умолчанию (рубли) ---
-// Эти цены будут проталкиваться в БД при старте сервера.
+// --- Тарифы по умолчанию ---
+// Засевают пустую таблицу tariffs при старте сервера. Дальше цены правятся из
+// админки (/admin/tariffs), а весь код читает тарифы только из БД (см. «Каталог тарифов»).
 const CONFIG_TARIFFS = [
-  { id: 1, code: '7d',  title: 'Неделя',     price_rub: 50,   duration_days: 7   },
-  { id: 2, code: '1m',  title: 'Месяц',      price_rub: 99,   duration_days: 30  },
-  { id: 3, code: '3m',  title: '3 месяца',   price_rub: 299,  duration_days: 90  },
-  { id: 4, code: '6m',  title: '6 месяцев',  price_rub: 599,  duration_days: 180 },
-  { id: 5, code: '12m', title: '1 год',      price_rub: 1099, duration_days: 365 },
+  { id: 1, code: '7d',  title: 'Неделя',     price_rub: 50,   price_xtr: 50,   price_usd: 0.55,  duration_days: 7   },
+  { id: 2, code: '1m',  title: 'Месяц',      price_rub: 99,   price_xtr: 390,  price_usd: 1.09,  duration_days: 30  },
+  { id: 3, code: '3m',  title: '3 месяца',   price_rub: 299,  price_xtr: 990,  price_usd: 3.29,  duration_days: 90  },
+  { id: 4, code: '6m',  title: '6 месяцев',  price_rub: 599,  price_xtr: 1790, price_usd: 6.59,  duration_days: 180 },
+  { id: 5, code: '12m', title: '1 год',      price_rub: 1099, price_xtr: 2990, price_usd: 12.09, duration_days: 365 },
 ];
 
-// Цена каждого плана в Stars (XTR). Можно менять как захочешь.
-const STARS_PRICE = {
-  '7d': 50,
-  '1m': 390,
-  '3m': 990,
-  '6m': 1790,
-  '12m': 2990
-};
-
 
 
 
@@ -134,6 +125,103 @@ async function ensureSchema() {
   );
   create index if not exists idx_conn_seen on server_connections(seen_at);
 
+  -- Здоровье нод: heartbeat от VPS (/api/vpn/connections, /api/vpn/clients, /api/vpn/heartbeat) + пробы с API
+  alter table if exists servers add column if not exists health          text default 'unknown'; -- healthy | unhealthy | unknown
+  alter table if exists servers add column if not exists health_fails    integer default 0;      -- подряд неудачных проверок
+  alter table if exists servers add column if not exists last_heartbeat  timestamptz;
+  alter table if exists servers add column if not exists last_probe_at   timestamptz;
+  alter table if exists servers add column if not exists last_probe_ok   boolean;
+  alter table if exists servers add column if not exists last_probe_ms   integer;
+  alter table if exists servers add column if not exists last_probe_error text;
+
+  -- Смены статуса здоровья (история для админки)
+  create table if not exists server_health_events (
+    id          bigserial primary key,
+    server_id   bigint not null references servers(id) on delete cascade,
+    status      text   not null,            -- healthy | unhealthy
+    reason      text,
+    moved_users integer default 0,          -- сколько пользователей перенесено при падении
+    created_at  timestamptz default now()
+  );
+  create index if not exists idx_health_events on server_health_events(server_id, id desc);
+
+  -- Drain: сервер не принимает новых пользователей, текущие постепенно переезжают (DRAIN_BATCH за проход)
+  alter table if exists servers add column if not exists draining boolean default false;
+
+  -- Профили нод (полоса, слоты, пер-юзер лимиты). Значения профиля копируются в servers.config
+  -- (его читают синк, назначение и админка); правка профиля обновляет все его сервера.
+  create table if not exists server_profiles (
+    id                 bigserial primary key,
+    code               text unique not null,
+    title              text not null,
+    bandwidth_mbps     integer not null,
+    slot_limit         integer,                       -- null — считается из полосы: bandwidth × overcommit / per_user_cap
+    per_user_cap_mbps  integer not null,
+    per_user_ceil_mbps integer not null,
+    overcommit         numeric(6,2) not null default 1,
+    created_at         timestamptz default now(),
+    updated_at         timestamptz default now()
+  );
+  -- прежняя эвристика POST /admin/servers (200 Мбит → 50 слотов, 1 Гбит → 240)
+  insert into server_profiles (code, title, bandwidth_mbps, per_user_cap_mbps, per_user_ceil_mbps, overcommit)
+  values ('200m', '200 Мбит/с', 200, 6, 12, 1.5),
+         ('1g',   '1 Гбит/с',  1000, 12, 25, 2.88)
+  on conflict (code) do nothing;
+  alter table if exists servers add column if not exists profile_id bigint references server_profiles(id);
+
+  -- Трафик пользователей по дням (отчёты нод из Xray stats API, /api/vpn/traffic)
+  create table if not exists traffic_daily (
+    user_id    bigint not null,
+    day        date   not null,
+    server_id  bigint not null,
+    up_bytes   bigint not null default 0,
+    down_bytes bigint not null default 0,
+    primary key (user_id, day, server_id)
+  );
+  create index if not exists idx_traffic_day on traffic_daily(day);
+  -- последние абсолютные счётчики (для нод, которые шлют накопленные значения без reset)
+  create table if not exists traffic_counters (
+    server_id  bigint not null,
+    user_id    bigint not null,
+    up_bytes   bigint not null default 0,
+    down_bytes bigint not null default 0,
+    updated_at timestamptz default now(),
+    primary key (server_id, user_id)
+  );
+
+  -- Выбор локации пользователем: предпочтение учитывается при (пере)назначении сервера
+  alter table if exists users add column if not exists preferred_country text;
+  create table if not exists location_switches (
+    id          bigserial primary key,
+    user_id     bigint not null,
+    from_server bigint,
+    to_server   bigint not null,
+    created_at  timestamptz default now()
+  );
+  create index if not exists idx_loc_switch_user on location_switches(user_id, created_at desc);
+
+  -- Персональный секрет ноды: им VPS подписывает синк клиентов (/api/vpn/clients)
+  alter table if exists servers add column if not exists node_secret text;
+  update servers
+     set node_secret = replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '')  -- CSPRNG, как rnd(24) в JS
+   where node_secret is null;
+
+  -- Синк клиентов Xray: последний отданный ноде снимок + журнал изменений по ревизиям
+  create table if not exists xray_sync_state (
+    server_id  bigint primary key references servers(id) on delete cascade,
+    rev        bigint not null default 0,
+    clients    jsonb  not null default '{}'::jsonb,  -- uuid -> { id, email, flow, cap_mbps, ceil_mbps }
+    updated_at timestamptz default now()
+  );
+  create table if not exists xray_sync_log (
+    server_id  bigint not null references servers(id) on delete cascade,
+    rev        bigint not null,
+    added      jsonb  not null default '[]'::jsonb,  -- новые/изменённые клиенты
+    removed    jsonb  not null default '[]'::jsonb,  -- uuid удалённых
+    created_at timestamptz default now(),
+    primary key (server_id, rev)
+  );
+
 
   -- МИГРАЦИИ: добавляем недостающие колонки в уже существующих таблицах
   alter table if exists users         add column if not exists created_at timestamptz default now();
@@ -160,6 +248,32 @@ async function ensureSchema() {
     duration_days  integer     not null,        -- Длительность в днях
     updated_at     timestamptz not null default now()
   );
+  alter table if exists tariffs add column if not exists price_xtr  integer;        -- Stars
+  alter table if exists tariffs add column if not exists price_usd  numeric(10,2);  -- крипта (NOWPayments)
+  alter table if exists tariffs add column if not exists visible    boolean not null default true;
+  alter table if exists tariffs add column if not exists sort_order integer not null default 0;
+  alter table if exists tariffs add column if not exists version    integer not null default 1;
+
+  -- История цен: каждая версия тарифа (создание и любое изменение цен/длительности)
+  create table if not exists tariff_price_history (
+    id            bigserial primary key,
+    tariff_id     integer not null,
+    version       integer not null,
+    code          text    not null,
+    title         text    not null,
+    price_rub     integer,
+    price_xtr     integer,
+    price_usd     numeric(10,2),
+    duration_days integer not null,
+    visible       boolean not null,
+    changed_by    bigint,                  -- Telegram ID админа (null — сид из CONFIG_TARIFFS)
+    changed_at    timestamptz not null default now(),
+    unique (tariff_id, version)
+  );
+
+  -- старые коды админки ('w' / '1y') → коды каталога
+  update subscriptions set plan = '7d'  where plan = 'w';
+  update subscriptions set plan = '12m' where plan = '1y';
 
 
     -- vless-клиенты (персональные UUID + срок)
@@ -172,6 +286,12 @@ async function ensureSchema() {
     updated_at  timestamptz not null default now()
   );
   create index if not exists idx_vless_expires on vless_clients (expires_at);
+  -- токен персональной ссылки-подписки (/sub/:token)
+  alter table if exists vless_clients add column if not exists sub_token text;
+  update vless_clients
+     set sub_token = replace(gen_random_uuid()::text, '-', '')  -- CSPRNG (random() предсказуем), как rnd(16) в JS
+   where sub_token is null;
+  create unique index if not exists idx_vless_sub_token on vless_clients (sub_token);
   -- Бесплатные пробные периоды
 create table if not exists free_trials (
   user_id     bigint primary key,
@@ -203,13 +323,171 @@ create index if not exists idx_devices_user on devices(user_id);
 
 
 
+  -- Ledger платежей: каждая транзакция провайдера записывается ровно один раз
+  create table if not exists orders (
+    id             bigserial primary key,
+    provider       text   not null,                 -- 'stars' | 'apays' | 'nowpayments'
+    provider_tx_id text   not null,                 -- telegram_payment_charge_id | APays order_id | NOWPayments invoice id
+    user_id        bigint not null,
+    plan           text   not null,
+    amount         numeric(12,2) not null default 0,
+    currency       text   not null,                 -- 'XTR' | 'RUB' | 'USD'
+    status         text   not null default 'created', -- created → pending → paid → refunded | failed
+    meta           jsonb,
+    created_at     timestamptz default now(),
+    updated_at     timestamptz default now(),
+    paid_at        timestamptz,
+    unique (provider, provider_tx_id)
+  );
+  create index if not exists idx_orders_user on orders(user_id);
+  create index if not exists idx_orders_status on orders(status);
+  alter table if exists payments add column if not exists order_id bigint;
+  alter table if exists payments add column if not exists ref_id bigint;   -- реферер на момент оплаты
+  alter table if exists orders add column if not exists granted_days integer;  -- сколько дней выдано (тариф + бонус промокода), для отката при возврате
+  alter table if exists orders add column if not exists refunded_at  timestamptz;
+
+  -- Автопродление Stars (инвойс с subscription_period). Одна подписка на пользователя.
+  create table if not exists stars_subscriptions (
+    user_id        bigint primary key,
+    plan           text   not null,
+    charge_id      text   not null,            -- первый telegram_payment_charge_id (для editUserStarSubscription)
+    last_charge_id text,
+    status         text   not null default 'active', -- active | canceled | lapsed (очередной платёж не пришёл)
+    expires_at     timestamptz,                -- subscription_expiration_date последнего платежа
+    created_at     timestamptz default now(),
+    updated_at     timestamptz default now(),
+    canceled_at    timestamptz
+  );
+  create unique index if not exists idx_pays_order on payments(order_id);
+
+  -- Крипто-инвойсы NOWPayments (статусы из IPN / опроса)
+  create table if not exists crypto_orders (
+    invoice_id     text primary key,
+    order_id       text   not null,            -- наш order_id: sub|plan|uid|ts
+    user_id        bigint not null,
+    plan           text   not null,
+    price_amount   numeric(12,2) not null,     -- USD
+    price_rub      integer,
+    payment_id     text,
+    pay_currency   text,
+    pay_amount     numeric(24,8),
+    actually_paid  numeric(24,8),
+    status         text   not null default 'waiting', -- статус NOWPayments
+    raw            jsonb,
+    created_at     timestamptz default now(),
+    updated_at     timestamptz default now(),
+    paid_at        timestamptz
+  );
+  create index if not exists idx_crypto_orders_user on crypto_orders(user_id);
+
+  -- версия тарифа (tariff_price_history.version), по которой создан заказ
+  alter table if exists orders        add column if not exists tariff_version integer;
+  alter table if exists apays_orders  add column if not exists tariff_version integer;
+  alter table if exists crypto_orders add column if not exists tariff_version integer;
+
+  -- Промокоды: скидка (percent / fixed в ₽) и/или бонусные дни; 'days' — только дни, без оплаты
+  create table if not exists promo_codes (
+    code        text primary key,                  -- в верхнем регистре
+    kind        text    not null,                  -- 'percent' | 'fixed' | 'days'
+    value       numeric(12,2) not null default 0,  -- % или ₽ (для 'days' не используется)
+    bonus_days  integer not null default 0,
+    plans       text[],                            -- null — любой тариф
+    max_uses    integer,                           -- null — без лимита
+    used_count  integer not null default 0,
+    expires_at  timestamptz,
+    active      boolean not null default true,
+    created_by  bigint,
+    created_at  timestamptz default now()
+  );
+  -- одно погашение на пользователя (primary key)
+  create table if not exists promo_redemptions (
+    code         text   not null references promo_codes(code),
+    user_id      bigint not null,
+    order_id     bigint,                           -- null — бесплатная выдача без заказа
+    plan         text,
+    discount_rub numeric(12,2) not null default 0,
+    bonus_days   integer not null default 0,
+    redeemed_at  timestamptz default now(),
+    primary key (code, user_id)
+  );
+  alter table if exists apays_orders add column if not exists promo_code   text;
+  alter table if exists apays_orders add column if not exists discount_rub integer not null default 0;
+
+  -- Реферальный баланс: начисления (+), возвраты/погашения/выводы (−). Баланс = сумма.
+  create table if not exists ref_ledger (
+    id            bigserial primary key,
+    ref_id        bigint not null,                -- реферер (владелец баланса)
+    child_id      bigint,                         -- приглашённый, чья оплата дала начисление
+    order_id      bigint,                         -- заказ-источник (accrual / clawback)
+    withdrawal_id bigint,                         -- заявка на вывод (withdrawal / withdrawal_reversal)
+    kind          text   not null,                -- 'accrual' | 'clawback' | 'redeem' | 'withdrawal' | 'withdrawal_reversal'
+    amount_rub    numeric(12,2) not null,
+    note          text,
+    created_at    timestamptz default now()
+  );
+  create index if not exists idx_ref_ledger_ref on ref_ledger(ref_id);
+  -- по заказу начисление/возврат для реферера — ровно один раз
+  create unique index if not exists idx_ref_ledger_order
+    on ref_ledger(order_id, ref_id, kind) where order_id is not null;
+
+  alter table if exists ref_ledger add column if not exists level smallint not null default 1; -- 1 — прямой реферер, 2 — реферер реферера
+  alter table if exists referrals  add column if not exists campaign text;                    -- ref_<id>_<campaign>
+
+  -- Настройки, редактируемые из админки (key → jsonb)
+  create table if not exists app_settings (
+    key         text primary key,
+    value       jsonb not null,
+    updated_by  bigint,
+    updated_at  timestamptz default now()
+  );
+
+  create table if not exists ref_withdrawals (
+    id          bigserial primary key,
+    ref_id      bigint not null,
+    amount_rub  numeric(12,2) not null,
+    method      text   not null,                  -- 'card' | 'usdt' | ... (как ввёл пользователь)
+    details     text   not null,                  -- реквизиты
+    status      text   not null default 'pending', -- pending → approved | rejected
+    admin_id    bigint,
+    admin_note  text,
+    created_at  timestamptz default now(),
+    decided_at  timestamptz
+  );
+  create index if not exists idx_ref_withdrawals_status on ref_withdrawals(status);
+
   create table if not exists sub_notifications (
     user_id   bigint not null,
     kind      text   not null, -- '3d' | '1d' | 'expired'
     for_until date   not null, -- дата истечения, к которой относится нотификация
     sent_at   timestamptz default now(),
     primary key (user_id, kind, for_until)
-  )
+  );
+
+  -- Поддержка: тикет на пользователя (пока не закрыт — новые сообщения идут в него)
+  create table if not exists tickets (
+    id          bigserial primary key,
+    user_id     bigint not null,
+    status      text   not null default 'open',   -- open (ждёт ответа) | answered (ждёт пользователя) | closed
+    subject     text,
+    source      text,                             -- 'bot' | 'miniapp'
+    assignee    bigint,                           -- Telegram ID админа
+    context     jsonb,                            -- снимок подписки/сервера/оплат/устройств на момент открытия
+    created_at  timestamptz default now(),
+    updated_at  timestamptz default now(),
+    closed_at   timestamptz
+  );
+  create index if not exists idx_tickets_status on tickets(status);
+  create index if not exists idx_tickets_user on tickets(user_id);
+
+  create table if not exists ticket_messages (
+    id          bigserial primary key,
+    ticket_id   bigint not null references tickets(id) on delete cascade,
+    author      text   not null,                  -- 'user' | 'admin'
+    author_id   bigint,
+    text        text   not null,
+    created_at  timestamptz default now()
+  );
+  create index if not exists idx_ticket_msgs on ticket_messages(ticket_id, id);
 `);
 
 }
@@ -217,30 +495,31 @@ create index if not exists idx_devices_user on devices(user_id);
 
 
 
-// Проталкивает CONFIG_TARIFFS в таблицу tariffs (UPSERT по id)
+// Засевает CONFIG_TARIFFS в таблицу tariffs: добавляет только отсутствующие тарифы
+// и пустые цены, правки из админки не перетирает
 async function syncTariffsToDb() {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
     for (const t of CONFIG_TARIFFS) {
       await client.query(
-        `insert into tariffs (id, code, title, price_rub, duration_days)
-         values ($1,$2,$3,$4,$5)
+        `insert into tariffs (id, code, title, price_rub, price_xtr, price_usd, duration_days, sort_order)
+         values ($1,$2,$3,$4,$5,$6,$7,$8)
          on conflict (id) do update
-         set code = excluded.code,
-             title = excluded.title,
-             price_rub = excluded.price_rub,
-             duration_days = excluded.duration_days,
-             updated_at = now()`,
-        [t.id, t.code, t.title, t.price_rub, t.duration_days]
+         set price_xtr = coalesce(tariffs.price_xtr, excluded.price_xtr),
+             price_usd = coalesce(tariffs.price_usd, excluded.price_usd)`,
+        [t.id, t.code, t.title, t.price_rub, t.price_xtr, t.price_usd, t.duration_days, t.id]
       );
     }
 
-  
-
-    // (опционально) удалить лишние тарифы, которых нет в CONFIG_TARIFFS:
-    // const ids = CONFIG_TARIFFS.map(t => t.id);
-    // await client.query(`delete from tariffs where not (id = any($1::int[]))`, [ids]);
+    // стартовая версия в истории цен для тарифов, у которых её ещё нет
+    await client.query(`
+      insert into tariff_price_history
+        (tariff_id, version, code, title, price_rub, price_xtr, price_usd, duration_days, visible)
+      select id, version, code, title, price_rub, price_xtr, price_usd, duration_days, visible
+      from tariffs
+      on conflict (tariff_id, version) do nothing
+    `);
 
     await client.query('COMMIT');
     console.log('[tariffs] synced');
@@ -253,6 +532,70 @@ async function syncTariffsToDb() {
 }
 
 
+// ===== Каталог тарифов (единый источник: таблица tariffs) =====
+// Код плана: '7d' | '1m' | '3m' | '6m' | '12m'. Цены — по валютам: RUB (APays), XTR (Stars), USD (крипта).
+const PLAN_ALIASES = { w: '7d', '1y': '12m' }; // старые коды админки
+const canonicalPlanCode = (code) => {
+  const c = String(code || '').trim();
+  return PLAN_ALIASES[c] || c;
+};
+
+function mapPlanRow(r) {
+  return {
+    id: r.id,
+    code: r.code,
+    title: r.title,
+    duration_days: Number(r.duration_days),
+    visible: r.visible,
+    sort_order: r.sort_order,
+    version: r.version,
+    prices: {
+      RUB: r.price_rub != null ? Number(r.price_rub) : null,
+      XTR: r.price_xtr != null ? Number(r.price_xtr) : null,
+      USD: r.price_usd != null ? Number(r.price_usd) : null,
+    },
+  };
+}
+
+// Тариф по коду. visibleOnly — для покупки (скрытые планы купить нельзя, но выдать/досчитать можно)
+async function getPlan(code, { visibleOnly = false } = {}) {
+  const q = await pool.query(`select * from tariffs where code = $1`, [canonicalPlanCode(code)]);
+  const row = q.rows[0];
+  if (!row || (visibleOnly && !row.visible)) return null;
+  return mapPlanRow(row);
+}
+
+async function listPlans({ visibleOnly = true } = {}) {
+  const q = await pool.query(
+    `select * from tariffs where ($1::boolean is false or visible) order by sort_order, id`,
+    [visibleOnly]
+  );
+  return q.rows.map(mapPlanRow);
+}
+
+// Цена плана в валюте ('RUB' | 'XTR' | 'USD'), null — не продаётся в этой валюте
+const planPrice = (plan, currency) => {
+  const v = plan?.prices?.[currency];
+  return v != null && v > 0 ? v : null;
+};
+
+
+// BEGIN … COMMIT на отдельном клиенте пула; исключение из fn → ROLLBACK и проброс
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const r = await fn(client);
+    await client.query('COMMIT');
+    return r;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
 // маленькие помощники
 async function dbUpsertUser(u) {
   const username = u.username ? '@' + u.username : (u.first_name || 'Пользователь');
@@ -265,22 +608,175 @@ async function dbUpsertUser(u) {
   );
 }
 
-async function dbLinkReferral(childId, refId) {
-  if (!refId || refId === childId) return; // защита от само-реферала
-  await pool.query(
-    `insert into referrals (child_id, ref_id)
-     values ($1,$2)
+// → true, если связь создана сейчас (у приглашённого ещё не было реферера)
+// Реферер должен быть существующим пользователем: иначе ref_<любое число> давал бы бонус приглашённого
+async function dbLinkReferral(childId, refId, campaign = null) {
+  if (!refId || refId === childId) return false; // защита от само-реферала
+  const q = await pool.query(
+    `insert into referrals (child_id, ref_id, campaign)
+     select $1::bigint, $2::bigint, $3::text
+     where exists (select 1 from users where id = $2)
      on conflict (child_id) do nothing`,
-    [childId, refId]
+    [childId, refId, campaign]
   );
+  return q.rowCount > 0;
 }
 
-async function dbRecordPayment(userId, plan, amountStars, amountRub) {
-  await pool.query(
-    `insert into payments (user_id, plan, amount_rub, amount_stars)
-     values ($1,$2,$3,$4)`,
-    [userId, plan, amountRub || 0, amountStars || 0]
+// Реферер пользователя из referrals (единственный источник атрибуции)
+async function dbGetReferrer(childId) {
+  const q = await pool.query(`select ref_id from referrals where child_id = $1`, [childId]);
+  return q.rowCount ? Number(q.rows[0].ref_id) : null;
+}
+
+// refId — реферер на момент оплаты, фиксируется в платеже
+async function dbRecordPayment(userId, plan, amountStars, amountRub, orderId = null, refId = null, client = pool) {
+  await client.query(
+    `insert into payments (user_id, plan, amount_rub, amount_stars, order_id, ref_id)
+     values ($1,$2,$3,$4,$5,$6)
+     on conflict do nothing`,
+    [userId, plan, amountRub || 0, amountStars || 0, orderId, refId]
+  );
+}
+
+// ===== Реферальный баланс (ref_ledger) =====
+const REF_COMMISSION       = Number(process.env.REF_COMMISSION || 0.5);        // базовая доля, если уровни не настроены
+const REF_MIN_WITHDRAW_RUB = Number(process.env.REF_MIN_WITHDRAW_RUB || 500);
+
+// Настройки рефералки (app_settings 'referral'), правятся через /admin/ref/config:
+//   tiers              — % от оплаты по числу платящих приглашённых (берётся наибольший min_paid ≤ N)
+//   l2_percent         — % рефереру второго уровня (0 — выключено)
+//   invitee_bonus_days — бесплатные дни новому приглашённому при переходе по ссылке
+const REF_CONFIG_DEFAULT = {
+  tiers: [{ min_paid: 0, percent: REF_COMMISSION * 100 }],
+  l2_percent: 0,
+  invitee_bonus_days: 0,
+};
+
+async function getRefConfig() {
+  const q = await pool.query(`select value from app_settings where key = 'referral'`);
+  const cfg = { ...REF_CONFIG_DEFAULT, ...(q.rows[0]?.value || {}) };
+  cfg.tiers = [...cfg.tiers].sort((a, b) => a.min_paid - b.min_paid);
+  return cfg;
+}
+
+// Проверка конфига из админки → нормализованный объект или строка-ошибка
+function parseRefConfig(body) {
+  const tiers = Array.isArray(body?.tiers) ? body.tiers : null;
+  if (!tiers || !tiers.length) return 'bad_tiers';
+  const out = { tiers: [], l2_percent: Number(body.l2_percent || 0), invitee_bonus_days: Number(body.invitee_bonus_days || 0) };
+  for (const t of tiers) {
+    const min = Number(t.min_paid), pct = Number(t.percent);
+    if (!Number.isInteger(min) || min < 0 || !(pct >= 0 && pct <= 100)) return 'bad_tiers';
+    out.tiers.push({ min_paid: min, percent: pct });
+  }
+  if (!out.tiers.some(t => t.min_paid === 0)) return 'tier_zero_required';
+  if (!(out.l2_percent >= 0 && out.l2_percent <= 100)) return 'bad_l2_percent';
+  if (!Number.isInteger(out.invitee_bonus_days) || out.invitee_bonus_days < 0) return 'bad_invitee_bonus_days';
+  out.tiers.sort((a, b) => a.min_paid - b.min_paid);
+  return out;
+}
+
+// Сколько приглашённых реферера хоть раз заплатили
+async function refPaidInvitees(refId, client = pool) {
+  const q = await client.query(`
+    select count(distinct p.user_id)::int as n
+    from referrals r
+    join payments p on p.user_id = r.child_id
+    where r.ref_id = $1 and p.amount_rub > 0
+  `, [refId]);
+  return q.rows[0].n;
+}
+
+// Текущий и следующий уровень реферера
+function refTierFor(cfg, paidInvitees) {
+  let tier = cfg.tiers[0], next = null;
+  for (const t of cfg.tiers) {
+    if (t.min_paid <= paidInvitees) tier = t;
+    else if (!next) next = t;
+  }
+  return { tier, next };
+}
+
+async function refInsertAccrual(refId, childId, orderId, amount, level, client = pool) {
+  if (!(amount > 0)) return;
+  await client.query(`
+    insert into ref_ledger (ref_id, child_id, order_id, kind, amount_rub, level)
+    values ($1,$2,$3,'accrual',$4,$5)
+    on conflict do nothing
+  `, [refId, childId, orderId, amount, level]);
+}
+
+// Начисление за оплаченный заказ приглашённого: 1-й уровень — % по уровню реферера,
+// 2-й — l2_percent рефереру реферера. Повторно по заказу не начисляется.
+// refId — реферер, зафиксированный в платеже (см. settleOrder); client — транзакция оплаты
+async function refAccrue(childId, orderId, amountRub, refId, client = pool) {
+  if (!(amountRub > 0) || !refId) return;
+  const cfg = await getRefConfig();
+
+  const { tier } = refTierFor(cfg, await refPaidInvitees(refId, client));
+  await refInsertAccrual(refId, childId, orderId, Math.round(amountRub * tier.percent) / 100, 1, client);
+
+  if (cfg.l2_percent > 0) {
+    const l2 = await dbGetReferrer(refId);
+    if (l2 && l2 !== childId) {
+      await refInsertAccrual(l2, childId, orderId, Math.round(amountRub * cfg.l2_percent) / 100, 2, client);
+    }
+  }
+}
+
+// Возврат платежа → списываем всё, что по этому заказу было начислено
+async function refClawback(orderId, client = pool) {
+  await client.query(`
+    insert into ref_ledger (ref_id, child_id, order_id, kind, amount_rub, note, level)
+    select ref_id, child_id, order_id, 'clawback', -amount_rub, 'refund', level
+    from ref_ledger
+    where order_id = $1 and kind = 'accrual'
+    on conflict do nothing
+  `, [orderId]);
+}
+
+async function refBalance(refId, client = pool) {
+  const q = await client.query(
+    `select coalesce(sum(amount_rub), 0)::numeric as b from ref_ledger where ref_id = $1`,
+    [refId]
   );
+  return Number(q.rows[0].b);
+}
+
+// Списание с баланса одной транзакцией: блокировка реферера + проверка остатка и запись
+// списания одним условным insert (две параллельные заявки не потратят один баланс дважды)
+// → { ok:true, entry, withdrawalId } | { ok:false, error:'insufficient_balance' }
+async function refDebit(refId, amountRub, kind, { note = null, withdrawal = null } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`select pg_advisory_xact_lock(hashtext('ref_balance'), $1::int)`, [refId % 2147483647]);
+    const entry = (await client.query(`
+      insert into ref_ledger (ref_id, kind, amount_rub, note)
+      select $1, $2, -$3::numeric, $4
+      where (select coalesce(sum(amount_rub), 0) from ref_ledger where ref_id = $1) >= $3::numeric
+      returning *
+    `, [refId, kind, amountRub, note])).rows[0];
+    if (!entry) {
+      await client.query('ROLLBACK');
+      return { ok:false, error:'insufficient_balance' };
+    }
+    let withdrawalId = null;
+    if (withdrawal) {
+      withdrawalId = (await client.query(`
+        insert into ref_withdrawals (ref_id, amount_rub, method, details)
+        values ($1,$2,$3,$4) returning id
+      `, [refId, amountRub, withdrawal.method, withdrawal.details])).rows[0].id;
+      await client.query(`update ref_ledger set withdrawal_id = $2 where id = $1`, [entry.id, withdrawalId]);
+      entry.withdrawal_id = withdrawalId;
+    }
+    await client.query('COMMIT');
+    return { ok:true, entry, withdrawalId };
+  } catch (e) {
+    await client.query('ROLLBACK'); throw e;
+  } finally {
+    client.release();
+  }
 }
 
 // агрегаты по рефералам: total + суммы + список
@@ -310,9 +806,57 @@ async function dbGetRefStats(refId) {
     order by amount_rub desc, u.id
   `, [refId]);
 
+  const ledgerRes = await pool.query(`
+    select
+      coalesce(sum(amount_rub) filter (where kind in ('accrual','clawback')), 0)::numeric as earned,
+      coalesce(sum(amount_rub) filter (where kind in ('accrual','clawback') and level = 2), 0)::numeric as earned_l2,
+      coalesce(-sum(amount_rub) filter (where kind = 'redeem'), 0)::numeric               as redeemed,
+      coalesce(sum(amount_rub), 0)::numeric                                                as balance
+    from ref_ledger where ref_id = $1
+  `, [refId]);
+  const campRes = await pool.query(`
+    select coalesce(r.campaign, '') as campaign,
+           count(distinct r.child_id)::int as invited,
+           count(distinct p.user_id) filter (where p.amount_rub > 0)::int as paying,
+           coalesce(sum(p.amount_rub), 0)::numeric as amount_rub
+    from referrals r
+    left join payments p on p.user_id = r.child_id
+    where r.ref_id = $1
+    group by 1
+    order by invited desc
+  `, [refId]);
+  const wSumRes = await pool.query(`
+    select
+      coalesce(sum(amount_rub) filter (where status = 'approved'), 0)::numeric as withdrawn,
+      coalesce(sum(amount_rub) filter (where status = 'pending'), 0)::numeric  as pending
+    from ref_withdrawals where ref_id = $1
+  `, [refId]);
+  const wRes = await pool.query(`
+    select id, amount_rub, method, status, admin_note, created_at, decided_at
+    from ref_withdrawals where ref_id = $1
+    order by id desc limit 20
+  `, [refId]);
+
   const total      = totalRes.rows[0]?.total || 0;
   const amountRub  = Number(sumRes.rows[0]?.amount_rub || 0);
-  const incomeRub  = Math.round(amountRub * 0.5); // твой доход = 50%
+  const incomeRub  = Number(ledgerRes.rows[0].earned);   // фактически начислено (минус возвраты)
+  const balanceRub = Number(ledgerRes.rows[0].balance);  // доступно к выводу / оплате дней
+  const redeemedRub = Number(ledgerRes.rows[0].redeemed);
+  const incomeL2Rub = Number(ledgerRes.rows[0].earned_l2);
+
+  const cfg = await getRefConfig();
+  const paidInvitees = await refPaidInvitees(refId);
+  const { tier, next } = refTierFor(cfg, paidInvitees);
+  const campaigns = campRes.rows.map(c => ({
+    campaign: c.campaign || null,  // null — обычная ссылка ref_<id>
+    invited: c.invited,
+    paying: c.paying,
+    amountRub: Number(c.amount_rub),
+    conversion: c.invited ? Math.round(c.paying / c.invited * 1000) / 10 : 0  // %
+  }));
+  const withdrawnRub = Number(wSumRes.rows[0].withdrawn);
+  const pendingWithdrawalRub = Number(wSumRes.rows[0].pending);
+  const withdrawals = wRes.rows.map(w => ({ ...w, amount_rub: Number(w.amount_rub) }));
 
   const items = itemsRes.rows.map(r => ({
     id: r.id,
@@ -323,7 +867,13 @@ async function dbGetRefStats(refId) {
     subUntil:  r.sub_until || null
   }));
 
-  return { total, amountRub, incomeRub, items };
+  return {
+    total, amountRub, incomeRub, incomeL2Rub, balanceRub, redeemedRub,
+    withdrawnRub, pendingWithdrawalRub, withdrawals, items, campaigns,
+    paidInvitees,
+    percent: tier.percent,
+    nextTier: next ? { minPaid: next.min_paid, percent: next.percent } : null,
+  };
 }
 
 
@@ -339,6 +889,8 @@ app.use(cors({
 
 
 // ===== Конфиг VLESS REALITY из ENV
+// Это значения по умолчанию: у каждого сервера в servers.config могут быть свои
+// reality_pbk / reality_sid / reality_sni / port / flow (см. serverVlessParams)
 const REALITY_SNI = process.env.REALITY_SNI;   // напр. 'www.cloudflare.com'
 const REALITY_PBK = process.env.REALITY_PBK;   // public key (pbk) из VPS
 const REALITY_SID = process.env.REALITY_SID;   // shortId из VPS
@@ -391,26 +943,40 @@ function getInitDataFromReq(req) {
 }
 
 // === admin guard + helpers ===
+const adminIds = () => (process.env.ADMIN_IDS || '')
+  .split(',')
+  .map(x => Number(x.trim()))
+  .filter(Boolean);
+
+// Служебное сообщение всем админам в бота (ошибка отправки одному не мешает остальным)
+async function notifyAdmins(text) {
+  for (const id of adminIds()) {
+    try { await bot.api.sendMessage(id, text); }
+    catch (e) { console.error('[notifyAdmins]', id, e?.description || e); }
+  }
+}
+
 function requireAdmin(req, res, next) {
-  const ids = (process.env.ADMIN_IDS || '')
-    .split(',')
-    .map(x => Number(x.trim()))
-    .filter(Boolean);
+  const ids = adminIds();
 try {
     const me = getUserFromInitData(getInitDataFromReq(req));
-    if (ids.includes(me.id)) return next();
+    if (ids.includes(me.id)) { req.admin = me; return next(); }
   } catch (e) {}
   return res.status(403).json({ ok:false, error:'forbidden' });
 }
 // --- запрет для заблокированных пользователей
+async function isUserBlocked(userId) {
+  const r = await pool.query(
+    `select 1 from blocks where user_id = $1 and (until is null or until > now())`,
+    [userId]
+  );
+  return r.rowCount > 0;
+}
+
 async function requireNotBlocked(req, res, next) {
   try {
     const user = getUserFromInitData(getInitDataFromReq(req));
-    const r = await pool.query(
-      `select 1 from blocks where user_id = $1 and (until is null or until > now())`,
-      [user.id]
-    );
-    if (r.rowCount) return res.status(403).json({ ok:false, error:'blocked' });
+    if (await isUserBlocked(user.id)) return res.status(403).json({ ok:false, error:'blocked' });
     req.user = user; // прокинем дальше, если нужно
     next();
   } catch (e) {
@@ -485,10 +1051,16 @@ app.get('/api/healthz', (req, res) => res.json({ ok: true }));
 // ===== Tariffs (публичный)
 app.get('/api/tariffs', async (req, res) => {
   try {
-    const rows = (await pool.query(
-      `select id, code, title, price_rub, duration_days from tariffs order by id`
-    )).rows;
-    res.json({ ok:true, items: rows });
+    const items = (await listPlans()).map(p => ({
+      id: p.id,
+      code: p.code,
+      title: p.title,
+      duration_days: p.duration_days,
+      price_rub: p.prices.RUB,
+      price_xtr: p.prices.XTR,
+      price_usd: p.prices.USD,
+    }));
+    res.json({ ok:true, items });
   } catch (e) {
     console.error('[api/tariffs]', e);
     res.status(500).json({ ok:false, error:'server_error' });
@@ -510,22 +1082,33 @@ app.get('/api/me', requireNotBlocked, async (req, res) => {
 
     // достаём персональный UUID и срок
     const q = await pool.query(
-      'select uuid, expires_at from vless_clients where user_id = $1',
+      'select uuid, expires_at, sub_token from vless_clients where user_id = $1',
       [user.id]
     );
 
     const payload = {
       user: { id: user.id, username: user.username || null },
-      // если у тебя есть ссылка/роут на оплату — оставь subscribeUrl; иначе можно убрать
-      subscribeUrl: SUBSCRIBE_BASE, 
+      // персональная ссылка-подписка для V2Box / v2rayN / Hiddify / Clash (null — клиента ещё нет)
+      subscribeUrl: q.rowCount ? subscriptionUrl(req, q.rows[0].sub_token) : null,
+      // автопродление Stars: { plan, active, status, expiresAt } | null
+      autoRenew: await getStarsSubscription(user.id),
+      // трафик за последние periodDays дней и за сегодня
+      traffic: {
+        periodDays: TRAFFIC_PERIOD_DAYS,
+        ...(await userTraffic(user.id)),
+        today: await userTraffic(user.id, 1),
+      },
     };
 
     if (q.rowCount && new Date(q.rows[0].expires_at) > new Date()) {
-      // активная подписка → строим VLESS-ссылку
-      const link = buildVlessUri(q.rows[0].uuid, `tg_${user.id}`);
+      // активная подписка → строим VLESS-ссылку на назначенный пользователю сервер
+      const server = await getUserServer(user.id);
+      const link = buildVlessUri(q.rows[0].uuid, `tg_${user.id}`, server);
       payload.active     = true;
       payload.vlessLink  = link;
       payload.expires_at = q.rows[0].expires_at;
+      // текущая локация (сменить — POST /api/location)
+      payload.location   = server ? { country: server.country, name: server.name } : null;
     } else {
       // нет подписки / истекла
       payload.active     = false;
@@ -541,6 +1124,17 @@ app.get('/api/me', requireNotBlocked, async (req, res) => {
 });
 
 
+// ===== Авторизация нативных клиентов (iOS/Android) по device_id + device_token
+// → { userId } если устройство привязано, null если нет (start без confirm тоже null)
+async function getDeviceUser(deviceId, deviceToken) {
+  const d = await pool.query(
+    `select user_id from devices where device_id = $1 and token = $2`,
+    [deviceId, deviceToken]
+  );
+  if (!d.rowCount || !d.rows[0].user_id) return null;
+  return { userId: Number(d.rows[0].user_id) };
+}
+
 // ===== Профиль для iOS/Android — по device_id + device_token
 app.get('/api/app/me', async (req, res) => {
   try {
@@ -548,14 +1142,10 @@ app.get('/api/app/me', async (req, res) => {
     if (!device_id || !device_token)
       return res.status(400).json({ ok:false, error:'device_params_required' });
 
-    const d = await pool.query(
-      `select user_id from devices where device_id = $1 and token = $2`,
-      [device_id, device_token]
-    );
-    if (!d.rowCount) return res.json({ bound:false });
+    const dev = await getDeviceUser(device_id, device_token);
+    if (!dev) return res.json({ bound:false }); // start был, но confirm ещё не прошёл
 
-    const userId = d.rows[0].user_id;
-    if (!userId) return res.json({ bound:false }); // start был, но confirm ещё не прошёл
+    const userId = dev.userId;
 
     // профиль
     const u = await pool.query(`select id, username, photo from users where id = $1`, [userId]);
@@ -585,26 +1175,46 @@ app.get('/api/app/me', async (req, res) => {
 // выдать параметры для VLESS (iOS / Android клиент)
 app.get('/api/app/vless', async (req, res) => {
   try {
-    const { device_id, device_token } = req.query;
+    const { device_id, device_token } = req.query || {};
+    if (!device_id || !device_token)
+      return res.status(400).json({ ok:false, error:'device_params_required' });
+
+    const dev = await getDeviceUser(device_id, device_token);
+    if (!dev) return res.json({ bound:false, active:false });
+
+    const b = await pool.query(
+      `select 1 from blocks where user_id = $1 and (until is null or until > now())`,
+      [dev.userId]
+    );
+    if (b.rowCount) return res.status(403).json({ ok:false, error:'blocked' });
+
+    // персональный UUID и срок — тот же источник, что и у /api/me
+    const q = await pool.query(
+      'select uuid, expires_at from vless_clients where user_id = $1',
+      [dev.userId]
+    );
+    if (!q.rowCount || new Date(q.rows[0].expires_at) <= new Date()) {
+      return res.json({ active:false, reason:'expired_or_missing' });
+    }
 
-    // TODO: проверить device_id + device_token так же, как в /api/app/me
-    // TODO: проверить подписку в базе (если нет — return res.json({ active: false }))
+    // сервер, на который назначен пользователь (если серверов в БД нет — SERVER_IP из ENV)
+    const v = serverVlessParams(await getUserServer(dev.userId));
 
-    // если всё ок и подписка активна — вернуть параметры
     res.json({
       active: true,
+      expires_at: q.rows[0].expires_at,
       server: {
-        host: "vpn1.example.com",
-        port: 443,
-        sni: "cdn.cloudflare.com",
+        host: v.host,
+        port: v.port,
+        sni: v.sni,
         alpn: ["h2","http/1.1"],
-        fp: "chrome"
+        fp: v.fp
       },
       client: {
-        uuid: "11111111-2222-3333-4444-555555555555",
-        flow: "xtls-rprx-vision",
-        shortId: "abcd",
-        publicKey: "TEST_PUBLIC_KEY",
+        uuid: q.rows[0].uuid,
+        flow: v.flow,
+        shortId: v.sid,
+        publicKey: v.pbk,
         reality: true
       },
       routes: {
@@ -613,101 +1223,314 @@ app.get('/api/app/vless', async (req, res) => {
       }
     });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'server_error' });
+    console.error('/api/app/vless', e);
+    res.status(500).json({ ok:false, error: 'server_error' });
   }
 });
 
 
 
-function buildVlessUri(uuid, label = 'VLESS') {
-  if (!SERVER_IP || !REALITY_SNI || !REALITY_PBK || !REALITY_SID) {
-    throw new Error('REALITY env is not set');
+// Параметры REALITY конкретного сервера: servers.config → иначе глобальные ENV.
+// server = строка из servers (или null, если серверов в БД нет)
+function serverVlessParams(server) {
+  const cfg = server?.config || {};
+  const p = {
+    host: server?.host || SERVER_IP,
+    port: Number(cfg.port || server?.port) || 443,
+    sni:  cfg.reality_sni || REALITY_SNI,
+    pbk:  cfg.reality_pbk || REALITY_PBK,
+    sid:  cfg.reality_sid || REALITY_SID,
+    flow: cfg.flow || 'xtls-rprx-vision',
+    fp:   cfg.fp || 'chrome',
+  };
+  if (!p.host || !p.sni || !p.pbk || !p.sid) {
+    throw new Error(`REALITY params are not set for server ${server?.id ?? '(env)'}`);
   }
+  return p;
+}
+
+// Сервер пользователя целиком (назначает, если ещё не назначен)
+async function getUserServer(userId) {
+  const sid = await ensureUserServer(userId);
+  if (!sid) return null;
+  const q = await pool.query(`select id, name, host, port, country, config from servers where id = $1`, [sid]);
+  return q.rows[0] || null;
+}
+
+function buildVlessUri(uuid, label = 'VLESS', server = null) {
+  const v = serverVlessParams(server);
   const q = new URLSearchParams({
     encryption: 'none',
-    flow: 'xtls-rprx-vision',
+    flow: v.flow,
     security: 'reality',
-    sni: REALITY_SNI,
-    pbk: REALITY_PBK,
-    sid: REALITY_SID,
+    sni: v.sni,
+    pbk: v.pbk,
+    sid: v.sid,
     type: 'tcp',
-    fp: 'chrome',
+    fp: v.fp,
   });
-  return `vless://${uuid}@${SERVER_IP}:443?${q.toString()}#${encodeURIComponent(label)}`;
+  return `vless://${uuid}@${v.host}:${v.port}?${q.toString()}#${encodeURIComponent(label)}`;
+}
+
+
+// Трафик пользователя за последние days дней (включая сегодня) → { upBytes, downBytes }
+const TRAFFIC_PERIOD_DAYS = Number(process.env.TRAFFIC_PERIOD_DAYS || 30);
+async function userTraffic(userId, days = TRAFFIC_PERIOD_DAYS) {
+  const q = await pool.query(`
+    select coalesce(sum(up_bytes), 0)::bigint as up, coalesce(sum(down_bytes), 0)::bigint as down
+    from traffic_daily
+    where user_id = $1 and day > current_date - $2::int
+  `, [userId, days]);
+  return { upBytes: Number(q.rows[0].up), downBytes: Number(q.rows[0].down) };
+}
+
+// ===== Подписка по ссылке (base64 / Clash Meta / sing-box) — клиенты сами опрашивают URL
+// GET /sub/:token[?format=base64|clash|singbox] — без format выбираем по User-Agent
+// req = null (бот) → база из SUBSCRIBE_BASE или PUBLIC_URL
+// без запроса (бот, фоновые задачи) база ссылки берётся только из env
+const subscriptionBaseConfigured = () => !!(SUBSCRIBE_BASE || process.env.PUBLIC_URL);
+
+function subscriptionUrl(req, token) {
+  const base = SUBSCRIBE_BASE
+    ? SUBSCRIBE_BASE.replace(/\/+$/, '')
+    : req ? `${req.protocol}://${req.get('host')}/sub`
+    : process.env.PUBLIC_URL ? `${process.env.PUBLIC_URL.replace(/\/+$/, '')}/sub` : null;
+  return base ? `${base}/${token}` : null;
+}
+
+function detectSubFormat(req) {
+  const f = String(req.query.format || '').toLowerCase();
+  if (f === 'clash' || f === 'singbox' || f === 'base64') return f;
+  if (f === 'sing-box') return 'singbox';
+  const ua = req.get('user-agent') || '';
+  if (/clash|mihomo|stash/i.test(ua)) return 'clash';
+  if (/sing-box|sfa|sfi|sfm/i.test(ua)) return 'singbox';
+  return 'base64';
+}
+
+function renderClashConfig(name, uuid, v) {
+  const q = (x) => JSON.stringify(String(x)); // строки в YAML — в двойных кавычках
+  return [
+    'mixed-port: 7890',
+    'allow-lan: false',
+    'mode: rule',
+    'proxies:',
+    `  - name: ${q(name)}`,
+    '    type: vless',
+    `    server: ${q(v.host)}`,
+    `    port: ${v.port}`,
+    `    uuid: ${q(uuid)}`,
+    '    network: tcp',
+    '    tls: true',
+    '    udp: true',
+    `    flow: ${q(v.flow)}`,
+    `    servername: ${q(v.sni)}`,
+    `    client-fingerprint: ${q(v.fp)}`,
+    '    reality-opts:',
+    `      public-key: ${q(v.pbk)}`,
+    `      short-id: ${q(v.sid)}`,
+    'proxy-groups:',
+    '  - name: VPN',
+    '    type: select',
+    '    proxies:',
+    `      - ${q(name)}`,
+    'rules:',
+    '  - MATCH,VPN',
+    ''
+  ].join('\n');
 }
 
+function renderSingBoxConfig(name, uuid, v) {
+  return {
+    log: { level: 'warn' },
+    dns: { servers: [{ tag: 'remote', address: 'tls://1.1.1.1', detour: name }] },
+    inbounds: [{
+      type: 'tun', tag: 'tun-in',
+      address: ['172.19.0.1/30'],
+      auto_route: true, strict_route: true, stack: 'system'
+    }],
+    outbounds: [
+      {
+        type: 'vless', tag: name,
+        server: v.host, server_port: v.port,
+        uuid, flow: v.flow, packet_encoding: 'xudp',
+        tls: {
+          enabled: true,
+          server_name: v.sni,
+          utls: { enabled: true, fingerprint: v.fp },
+          reality: { enabled: true, public_key: v.pbk, short_id: v.sid }
+        }
+      },
+      { type: 'direct', tag: 'direct' }
+    ],
+    route: { auto_detect_interface: true, final: name }
+  };
+}
+
+app.get('/sub/:token', async (req, res) => {
+  try {
+    const token = String(req.params.token || '');
+    const q = await pool.query(
+      `select user_id, uuid, expires_at from vless_clients where sub_token = $1`,
+      [token]
+    );
+    if (!q.rowCount) return res.status(404).send('not found');
+    const { user_id: userId, uuid, expires_at } = q.rows[0];
 
-// ===== SIP008 подписка (JSON) — для импорта в клиенты
-// https://github.com/shadowsocks/shadowsocks-org/wiki/SIP008-Online-Configuration-Delivery
+    const b = await pool.query(
+      `select 1 from blocks where user_id = $1 and (until is null or until > now())`,
+      [userId]
+    );
+    if (b.rowCount) return res.status(403).send('blocked');
+    // истёкшей подписке — ни конфига, ни слота на сервере (getUserServer назначил бы его)
+    if (!expires_at || new Date(expires_at) <= new Date()) return res.status(403).send('expired');
+
+    const server = await getUserServer(Number(userId));
+    const v = serverVlessParams(server);
+    const name = server?.name || server?.country || 'VPN';
+
+    // стандартный заголовок: клиенты показывают по нему срок подписки и трафик за TRAFFIC_PERIOD_DAYS
+    // (total=0 — без лимита)
+    const expire = Math.floor(new Date(expires_at).getTime() / 1000);
+    const tr = await userTraffic(Number(userId));
+    res.set('subscription-userinfo', `upload=${tr.upBytes}; download=${tr.downBytes}; total=0; expire=${expire}`);
+    res.set('profile-update-interval', '12'); // часы
+    res.set('profile-title', 'base64:' + Buffer.from(process.env.BOT_USERNAME || 'VPN').toString('base64'));
+    res.set('cache-control', 'no-store');
+
+    const format = detectSubFormat(req);
+    if (format === 'clash') {
+      res.type('text/yaml; charset=utf-8');
+      return res.send(renderClashConfig(name, uuid, v));
+    }
+    if (format === 'singbox') {
+      return res.json(renderSingBoxConfig(name, uuid, v));
+    }
+    const link = buildVlessUri(uuid, name, server);
+    res.type('text/plain; charset=utf-8');
+    res.send(Buffer.from(link + '\n').toString('base64'));
+  } catch (e) {
+    console.error('[sub/token]', e);
+    res.status(500).send('server error');
+  }
+});
 
 
 // ===== Подписки (через БД) =====
 
-// нормализатор планов: фронт шлёт '7d'|'1m'|'3m'|'6m'|'12m', админка — 'w'|'1m'|'3m'|'6m'|'1y'
-function normalizePlan(p){
-  if (p === '7d') return 'w';
-  if (p === '12m') return '1y';
-  return p;
-}
-function addPlanToDate(plan, base = new Date()){
+// +N дней к дате (но не раньше «сейчас»): длительность берётся из tariffs.duration_days
+function addDaysToDate(days, base = new Date()){
   const d = new Date(Math.max(new Date(base).getTime(), Date.now()));
-  switch (plan) {
-    case 'w':  d.setDate(d.getDate() + 7);  break;
-    case '1m': d.setMonth(d.getMonth() + 1); break;
-    case '3m': d.setMonth(d.getMonth() + 3); break;
-    case '6m': d.setMonth(d.getMonth() + 6); break;
-    case '1y': d.setFullYear(d.getFullYear() + 1); break;
-    default:   d.setMonth(d.getMonth() + 1);
-  }
+  d.setDate(d.getDate() + Number(days));
   return d;
 }
 
+// Лимиты сервера из servers.config (null — не задан)
+function serverLimits(server) {
+  const cfg = server?.config || {};
+  return {
+    bandwidth_mbps:     Number(cfg.bandwidth_mbps || 0) || null,
+    slot_limit:         Number(cfg.slot_limit || 0) || null,
+    per_user_cap_mbps:  Number(cfg.per_user_cap_mbps || 0) || null,
+    per_user_ceil_mbps: Number(cfg.per_user_ceil_mbps || 0) || null,
+  };
+}
+
+// Лимиты из профиля (для записи в servers.config)
+function profileLimits(p) {
+  const slots = p.slot_limit != null
+    ? Number(p.slot_limit)
+    : Math.floor(Number(p.bandwidth_mbps) * Number(p.overcommit) / Number(p.per_user_cap_mbps));
+  return {
+    profile:            p.code,
+    bandwidth_mbps:     Number(p.bandwidth_mbps),
+    slot_limit:         slots || null,
+    per_user_cap_mbps:  Number(p.per_user_cap_mbps),
+    per_user_ceil_mbps: Number(p.per_user_ceil_mbps),
+    overcommit:         Number(p.overcommit),
+  };
+}
+
+const SERVER_PROFILE_DEFAULT = process.env.SERVER_PROFILE_DEFAULT || '200m';
+
+// id или code → строка профиля | null
+async function getServerProfile(ref) {
+  const q = /^\d+$/.test(String(ref))
+    ? await pool.query(`select * from server_profiles where id = $1`, [Number(ref)])
+    : await pool.query(`select * from server_profiles where code = $1`, [String(ref)]);
+  return q.rows[0] || null;
+}
+
 // === Автоназначение сервера подписчику ===
-async function pickServerForUser() {
+// country — только сервера этой страны (null — любые); exclude — id сервера, который не рассматриваем
+// (перенос с него: иначе взвешенный выбор часто вернул бы пользователя туда же);
+// client — транзакция переноса: заполнение учитывает ещё не закоммиченные назначения пачки
+async function pickServerForUser({ country = null, exclude = null, client = pool } = {}) {
   // Активные сервера + их лимиты слотов
-  const q = await pool.query(`
+  const q = await client.query(`
     select s.id, (s.config->>'slot_limit')::int as slot_limit
     from servers s
     where s.active is true
+      and s.draining is not true
+      and s.health is distinct from 'unhealthy'
+      and ($1::text is null or upper(s.country) = upper($1))
+      and ($2::bigint is null or s.id <> $2)
     order by s.created_at asc
-  `);
+  `, [country, exclude]);
   if (!q.rowCount) return null;
 
   // Текущее заполнение по серверам
-  const fill = await pool.query(`
+  const fill = await client.query(`
     select server_id, count(*)::int as n
     from server_allocations
     group by server_id
   `);
   const cnt = new Map(fill.rows.map(r => [r.server_id, r.n]));
 
-  // Ищем сервер с наименьшей загрузкой и свободным слотом
-  let best = null, bestLoad = Infinity;
+  // Случайный выбор с весом = свободные слоты: крупные ноды получают пропорционально больше,
+  // а несколько инстансов API не наваливаются на один и тот же сервер.
+  const free = [];
   for (const s of q.rows) {
     const used = cnt.get(s.id) || 0;
     const limit = s.slot_limit || 0;
     if (limit && used >= limit) continue;
-    if (used < bestLoad) { best = s.id; bestLoad = used; }
+    free.push({ id: s.id, used, left: limit ? limit - used : null });
+  }
+  if (!free.length) return null;
+
+  const finite = free.filter(s => s.left != null);
+  if (!finite.length) {
+    // ни у кого нет лимита слотов — по наименьшему числу пользователей
+    return free.reduce((a, b) => (b.used < a.used ? b : a)).id;
+  }
+  // сервер без лимита весит как самый свободный из ограниченных
+  const maxLeft = Math.max(...finite.map(s => s.left));
+  const weights = free.map(s => s.left ?? maxLeft);
+  let r = Math.random() * weights.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < free.length; i++) {
+    r -= weights[i];
+    if (r < 0) return free[i].id;
   }
-  return best;
+  return free[free.length - 1].id;
 }
 
-async function ensureUserServer(userId) {
+// client — транзакция вызывающего (напр. settleOrder), по умолчанию пул
+async function ensureUserServer(userId, { client = pool } = {}) {
   // Если уже назначен — проверим актуальность
-  const cur = await pool.query(`select server_id from server_allocations where user_id = $1`, [userId]);
+  const cur = await client.query(`select server_id from server_allocations where user_id = $1`, [userId]);
   if (cur.rowCount) {
     const sid = cur.rows[0].server_id;
-    const s = await pool.query(`select active, (config->>'slot_limit')::int as slot_limit from servers where id = $1`, [sid]);
-    if (s.rowCount && s.rows[0].active) {
-      const used = (await pool.query(`select count(*)::int as n from server_allocations where server_id = $1`, [sid])).rows[0].n;
+    const s = await client.query(`select active, health, (config->>'slot_limit')::int as slot_limit from servers where id = $1`, [sid]);
+    if (s.rowCount && s.rows[0].active && s.rows[0].health !== 'unhealthy') {
+      const used = (await client.query(`select count(*)::int as n from server_allocations where server_id = $1`, [sid])).rows[0].n;
       if (!s.rows[0].slot_limit || used <= s.rows[0].slot_limit) return sid;
     }
   }
-  // Выбрать новый сервер и записать
-  const next = await pickServerForUser();
+  // Выбрать новый сервер (сперва в выбранной пользователем стране) и записать
+  const pref = (await client.query(`select preferred_country from users where id = $1`, [userId])).rows[0]?.preferred_country;
+  const next = (pref && await pickServerForUser({ country: pref })) || await pickServerForUser();
   if (!next) return null;
-  await pool.query(`
+  await client.query(`
     insert into server_allocations (user_id, server_id)
     values ($1,$2)
     on conflict (user_id) do update set server_id = excluded.server_id, assigned_at = now()
@@ -716,107 +1539,462 @@ async function ensureUserServer(userId) {
 }
 
 
-async function grantSubscription(userId, plan) {
-  const p = normalizePlan(String(plan));
-  const cur = await pool.query(`select plan, until from subscriptions where user_id = $1`, [userId]);
+// plan — код тарифа (или null, если выдаём только extraDays, напр. бонусные дни промокода)
+// client — транзакция вызывающего; notify:false — уведомит сам вызывающий после COMMIT
+async function grantSubscription(userId, plan, { extraDays = 0, client = pool, notify = true } = {}) {
+  const t = plan ? await getPlan(plan) : null;
+  if (plan && !t) throw new Error(`unknown plan: ${plan}`);
+  const days = (t?.duration_days || 0) + Number(extraDays || 0);
+  if (days <= 0) throw new Error('nothing to grant');
+  const cur = await client.query(`select plan, until from subscriptions where user_id = $1`, [userId]);
+  const p = t?.code || cur.rows[0]?.plan || 'bonus';
   const base = (cur.rowCount && cur.rows[0].until && new Date(cur.rows[0].until) > new Date())
     ? new Date(cur.rows[0].until) : new Date();
-  const until = addPlanToDate(p, base);
-  await pool.query(`
+  const until = addDaysToDate(days, base);
+  await client.query(`
     insert into subscriptions (user_id, plan, until)
     values ($1,$2,$3)
     on conflict (user_id) do update set plan = excluded.plan, until = excluded.until
   `, [userId, p, until]);
-  const r = await pool.query(`select uuid from vless_clients where user_id = $1`, [userId]);
+  const r = await client.query(`select uuid from vless_clients where user_id = $1`, [userId]);
   const id = r.rowCount ? r.rows[0].uuid : uuidv4();
-    await pool.query(`
-    insert into vless_clients (user_id, uuid, expires_at, label)
-    values ($1,$2,$3,$4)
+    await client.query(`
+    insert into vless_clients (user_id, uuid, expires_at, label, sub_token)
+    values ($1,$2,$3,$4,$5)
     on conflict (user_id) do update set expires_at = excluded.expires_at, updated_at = now()
-  `, [userId, id, until, `tg_${userId}`]);
+  `, [userId, id, until, `tg_${userId}`, rnd(16)]);
 
   // Назначить/переобновить сервер пользователю под лимиты
-  await ensureUserServer(userId);
-
-  // Уведомление о активации подписки в Telegram
-  try {
-    await notifySubActivated(userId, until.toISOString());
-  } catch (e) {
-    console.error('notifySubActivated', e);
-  }
+  await ensureUserServer(userId, { client });
 
+  if (notify) await notifyActivated(userId, until);
   return until;
 
 }
 
 
-// статус подписки (читает из БД)
-app.get('/api/sub/me', requireNotBlocked, async (req, res) => {
+// Уведомление о активации подписки в Telegram (ошибка отправки не ломает выдачу)
+async function notifyActivated(userId, until) {
   try {
-    const user = getUserFromInitData(getInitDataFromReq(req));
-    const q = await pool.query(`select plan, until from subscriptions where user_id = $1`, [user.id]);
-    const row = q.rows[0];
-    const active = row?.until ? new Date(row.until) > new Date() : false;
-    // можно ли показать триал
-    const t = await pool.query(`select 1 from free_trials where user_id = $1`, [user.id]);
-    const trialEligible = !t.rowCount;
-    res.json({ active, until: active ? row.until : null, plan: row?.plan || null, trialEligible });
+    await notifySubActivated(userId, until.toISOString());
   } catch (e) {
-    console.error('[sub/me]', e);
-    res.status(401).json({ error: 'initData verification failed' });
+    console.error('notifySubActivated', e);
   }
-});
-// Claim 7-day free trial (once per user)
-app.post('/api/sub/claimTrial', requireNotBlocked, async (req, res) => {
-  try {
-    const user = getUserFromInitData(getInitDataFromReq(req));
-    const t = await pool.query(`select 1 from free_trials where user_id = $1`, [user.id]);
-    if (t.rowCount) return res.status(400).json({ ok:false, error:'already_claimed' });
+}
 
-    const q = await pool.query(`select until from subscriptions where user_id = $1`, [user.id]);
-    const active = q.rowCount && q.rows[0].until && new Date(q.rows[0].until) > new Date();
-    if (active) return res.status(400).json({ ok:false, error:'already_active' });
 
-    await pool.query(`insert into free_trials (user_id) values ($1) on conflict do nothing`, [user.id]);
-    await grantSubscription(user.id, '1m'); // 30 дней
-    res.json({ ok:true });
-  } catch (e) {
-    console.error('[claimTrial]', e);
-    res.status(401).json({ ok:false, error: 'initData verification failed' });
-  }
-});
+// ===== Ledger платежей (orders) =====
+// Все провайдеры (Stars, APays, NOWPayments) проходят через settleOrder: заказ
+// идентифицируется парой (provider, provider_tx_id), а переход в 'paid' атомарный,
+// поэтому повторный вебхук / опрос статуса не продлит подписку второй раз.
 
-// ===== PAYMENTS START =====
+// Допустимые переходы: в ключ можно попасть из перечисленных статусов
+const ORDER_TRANSITIONS_FROM = {
+  pending:  ['created'],
+  paid:     ['created', 'pending'],
+  failed:   ['created', 'pending'],
+  refunded: ['paid'],
+};
 
-// 1) Stars (как было) — создаёт инвойс в Stars и шлёт его в чат
-app.post('/api/pay/stars', requireNotBlocked, async (req, res) => {
-  try {
-    const user = getUserFromInitData(getInitDataFromReq(req));
-    const { plan } = req.body || {};
-    const code = String(plan || '').trim();
-    if (!STARS_PRICE[code]) return res.status(400).json({ ok:false, error:'bad_plan' });
-
-    const amount = STARS_PRICE[code]; // Stars
-    const payload = `plan=${code};userId=${user.id}`;
-
-    await bot.api.sendInvoice({
-      chat_id: user.id,
-      title: `Подписка VPN — ${code}`,
-      description: `Оплата тарифа ${code.toUpperCase()}`,
-      payload,
-      currency: "XTR", // Telegram Stars
-      prices: [{ label: code.toUpperCase(), amount }],
-      photo_url: process.env.MINI_APP_URL
-        ? process.env.MINI_APP_URL + "/free-icon-vpn-7517284.png"
-        : undefined,
-    });
+// Создаёт запись ledger (или возвращает уже существующую с тем же provider_tx_id)
+// tariffVersion — версия тарифа на момент создания заказа (снимок цены для сверки)
+async function ledgerUpsertOrder({ provider, txId, userId, plan, amount, currency, status = 'created', meta = null, tariffVersion = null }) {
+  const ins = await pool.query(`
+    insert into orders (provider, provider_tx_id, user_id, plan, amount, currency, status, meta, tariff_version)
+    values ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+    on conflict (provider, provider_tx_id) do nothing
+    returning *
+  `, [provider, String(txId), userId, plan, amount || 0, currency, status, meta, tariffVersion]);
+  if (ins.rowCount) return ins.rows[0];
+  const q = await pool.query(
+    `select * from orders where provider = $1 and provider_tx_id = $2`,
+    [provider, String(txId)]
+  );
+  return q.rows[0];
+}
 
-    res.json({ ok: true });
-  } catch (e) {
-    console.error('[pay/stars]', e);
-    res.status(500).json({ ok:false, error:'server_error' });
-  }
-});
+// Атомарный переход статуса. Возвращает строку, если переход сделал именно этот вызов, иначе null
+async function ledgerTransition(orderId, to, client = pool) {
+  const from = ORDER_TRANSITIONS_FROM[to];
+  if (!from) throw new Error(`unknown order status: ${to}`);
+  const q = await client.query(`
+    update orders
+       set status = $2,
+           updated_at = now(),
+           paid_at = case when $2 = 'paid' then now() else paid_at end
+     where id = $1 and status = any($3::text[])
+     returning *
+  `, [orderId, to, from]);
+  return q.rows[0] || null;
+}
+
+async function ledgerFail(provider, txId) {
+  const q = await pool.query(
+    `select id from orders where provider = $1 and provider_tx_id = $2`,
+    [provider, String(txId)]
+  );
+  if (q.rowCount) await ledgerTransition(q.rows[0].id, 'failed');
+}
+
+// meta заказа Stars с промокодом из payload инвойса
+function starsPromoMeta(promo) {
+  const code = normPromoCode(promo);
+  if (!code) return null;
+  return { promo: code };
+}
+
+// ===== Автопродление Stars =====
+// Telegram принимает только период 30 дней — автопродление доступно для тарифа с duration_days = 30
+const STARS_SUB_PERIOD = 2592000;
+const isAutoRenewPlan = (plan) => plan?.duration_days === 30;
+
+// Каждый платёж подписки (первый и is_recurring) → запись/обновление stars_subscriptions
+async function recordStarsSubscription({ userId, plan, chargeId, expiresAt, first }) {
+  const exp = expiresAt ? new Date(Number(expiresAt) * 1000) : null;
+  await pool.query(`
+    insert into stars_subscriptions (user_id, plan, charge_id, last_charge_id, status, expires_at)
+    values ($1,$2,$3,$3,'active',$4)
+    on conflict (user_id) do update set
+      plan = excluded.plan,
+      charge_id = case when $5 then excluded.charge_id else stars_subscriptions.charge_id end,
+      last_charge_id = excluded.last_charge_id,
+      status = case when $5 or stars_subscriptions.status = 'lapsed' then 'active' else stars_subscriptions.status end,
+      canceled_at = case when $5 then null else stars_subscriptions.canceled_at end,
+      expires_at = excluded.expires_at,
+      updated_at = now()
+  `, [userId, plan, String(chargeId), exp, !!first]);
+}
+
+async function getStarsSubscription(userId) {
+  const q = await pool.query(`select * from stars_subscriptions where user_id = $1`, [userId]);
+  const s = q.rows[0];
+  if (!s) return null;
+  return {
+    plan: s.plan,
+    active: s.status === 'active' && (!s.expires_at || new Date(s.expires_at) > new Date()),
+    status: s.status,
+    expiresAt: s.expires_at,
+  };
+}
+
+// Stars-оплата (разовая или очередной платёж подписки) → ledger + stars_subscriptions
+// sp — объект successful_payment из Telegram, payload — разобранный invoice_payload.
+// Всё нужное для повтора лежит в meta заказа: если settle упадёт, заказ останется
+// 'pending' и его добьёт retryPendingStarsOnce (Telegram апдейт повторно не пришлёт)
+async function settleStarsPayment(sp, { userId, plan, promo, tariffVersion = null }) {
+  const meta = {
+    ...(sp.is_recurring ? { recurring: true } : starsPromoMeta(promo)),
+    ...(sp.subscription_expiration_date
+      ? { sub_expires: sp.subscription_expiration_date, sub_first: !sp.is_recurring || !!sp.is_first_recurring }
+      : {}),
+  };
+  const r = await settleOrder({
+    provider: 'stars', txId: sp.telegram_payment_charge_id,
+    userId, plan, amount: Number(sp.total_amount || 0), currency: 'XTR',
+    meta: Object.keys(meta).length ? meta : null,
+    tariffVersion
+  });
+  await recordStarsSubscriptionFromOrder(r.order);
+  return r;
+}
+
+async function recordStarsSubscriptionFromOrder(order) {
+  if (!order?.meta?.sub_expires || order.status !== 'paid') return;
+  await recordStarsSubscription({
+    userId: Number(order.user_id), plan: order.plan, chargeId: order.provider_tx_id,
+    expiresAt: order.meta.sub_expires, first: order.meta.sub_first
+  });
+}
+
+// Сумма заказа в рублях для payments (выручка, рефералка)
+const STARS_TO_RUB = Number(process.env.STARS_TO_RUB || 2.0);
+function paymentRubEquivalent(order) {
+  const sum = Number(order.amount || 0);
+  if (order.currency === 'RUB') return sum;
+  if (order.currency === 'XTR') return Math.round(sum * STARS_TO_RUB);
+  return Number(order.meta?.rub || 0); // крипта — рублёвый эквивалент тарифа на момент счёта
+}
+
+// Провайдер подтвердил оплату → заказ 'paid', запись в payments и выдача подписки.
+// Единственное место, откуда выдаётся оплаченная подписка. Переход, платёж, начисления
+// и выдача — одна транзакция: при ошибке заказ остаётся 'pending' и повтор
+// (вебхук / опрос статуса) выдаст подписку заново.
+// → { granted:true, order, until, promoError? } | { granted:false, order } (уже обработан ранее)
+async function settleOrder({ provider, txId, userId, plan, amount, currency, meta = null, tariffVersion = null }) {
+  const order = await ledgerUpsertOrder({ provider, txId, userId, plan, amount, currency, status: 'pending', meta, tariffVersion });
+  const r = await withTransaction(async (client) => {
+    const paid = await ledgerTransition(order.id, 'paid', client);
+    if (!paid) return { granted:false, order };
+
+    // данные берём из ledger: для APays/NOWPayments они записаны при создании заказа
+    const uid = Number(paid.user_id);
+    const sum = Number(paid.amount || 0);
+    const rub = paymentRubEquivalent(paid);
+    // промокод заказа: погашаем при оплате, бонусные дни — в ту же выдачу.
+    // Резерв не прошёл (код уже оплачен другим счётом / исчерпан), а деньги уже списаны:
+    // тариф выдаём без бонусных дней, причину пишем в meta и сообщаем админам (после COMMIT)
+    let extraDays = 0, promoError = null;
+    if (paid.meta?.promo) {
+      const red = await redeemPromo(paid.meta.promo, uid, {
+        orderId: paid.id, plan: paid.plan, discountRub: paid.meta.discount_rub, client
+      });
+      if (red.ok) extraDays = red.bonusDays;
+      else {
+        promoError = red.error;
+        await client.query(`
+          update orders set meta = coalesce(meta, '{}'::jsonb) || jsonb_build_object('promo_error', $2::text)
+          where id = $1
+        `, [paid.id, promoError]);
+      }
+    }
+    const refId = await dbGetReferrer(uid);
+    await dbRecordPayment(uid, paid.plan, paid.currency === 'XTR' ? sum : 0, rub, paid.id, refId, client);
+    await refAccrue(uid, paid.id, rub, refId, client);
+    const until = await grantSubscription(uid, paid.plan, { extraDays, client, notify: false });
+    const grantedDays = ((await getPlan(paid.plan))?.duration_days || 0) + Number(extraDays || 0);
+    await client.query(`update orders set granted_days = $2 where id = $1`, [paid.id, grantedDays]);
+    return { granted:true, order: paid, until, promoError };
+  });
+  if (!r.granted) return r;
+
+  console.log('[ledger] paid', { id: r.order.id, provider, txId: String(txId), userId: Number(r.order.user_id), plan: r.order.plan });
+  await notifyActivated(Number(r.order.user_id), r.until);
+  if (r.promoError) {
+    console.warn('[ledger] promo rejected', { id: r.order.id, provider, txId: String(txId), promo: r.order.meta?.promo, error: r.promoError });
+    await notifyAdmins(`⚠️ Заказ #${r.order.id} (${provider}) оплачен со скидкой по промокоду ${r.order.meta?.promo}, ` +
+      `но код не погашен (${r.promoError}). Тариф выдан без бонусных дней — проверьте заказ.`);
+  }
+  return r;
+}
+
+// Итог settleOrder для провайдерских таблиц: заказ выдан сейчас или уже был оплачен раньше
+// (повторный вебхук / опрос). Иначе (напр. заказ 'failed') провайдерский заказ 'paid' не ставим
+const orderSettled = (r) => r.granted || r.order?.status === 'paid';
+
+// Откат выданного периода: сдвигает until подписки и ключа назад ровно на days
+// (не обнуляет подписку, если сверху были другие оплаты). → новый until или null
+async function revokeSubscriptionDays(userId, days, client = pool) {
+  if (!(days > 0)) return null;
+  const q = await client.query(`
+    update subscriptions set until = until - make_interval(days => $2)
+    where user_id = $1
+    returning until
+  `, [userId, days]);
+  await client.query(`
+    update vless_clients set expires_at = expires_at - make_interval(days => $2), updated_at = now()
+    where user_id = $1
+  `, [userId, days]);
+  return q.rows[0]?.until || null;
+}
+
+// ===== Промокоды =====
+const normPromoCode = (c) => {
+  const code = String(c || '').trim().toUpperCase();
+  return /^[A-Z0-9_-]{3,32}$/.test(code) ? code : null; // без ';' и '=' — код едет в payload инвойса
+};
+
+// Цена со скидкой в валюте. fixed задан в ₽ — для Stars/USD скидка той же доли от цены
+function discountedPrice(promo, plan, currency) {
+  const price = planPrice(plan, currency);
+  if (price == null) return null;
+  let k = 1;
+  if (promo.kind === 'percent') k = 1 - Math.min(100, Number(promo.value)) / 100;
+  if (promo.kind === 'fixed') {
+    const rub = planPrice(plan, 'RUB');
+    k = rub ? 1 - Math.min(1, Number(promo.value) / rub) : 1;
+  }
+  const v = price * k;
+  return currency === 'USD' ? Math.round(v * 100) / 100 : Math.round(v);
+}
+
+// Проверка кода для пользователя и тарифа (plan — объект каталога, для 'days' может быть null)
+// → { ok:true, promo, prices:{RUB,XTR,USD}, discountRub, bonusDays } | { ok:false, error }
+async function quotePromo(code, userId, plan) {
+  const c = normPromoCode(code);
+  if (!c) return { ok:false, error:'promo_not_found' };
+  const q = await pool.query(`select * from promo_codes where code = $1`, [c]);
+  const promo = q.rows[0];
+  if (!promo || !promo.active) return { ok:false, error:'promo_not_found' };
+  if (promo.expires_at && new Date(promo.expires_at) <= new Date()) return { ok:false, error:'promo_expired' };
+  if (promo.max_uses != null && promo.used_count >= promo.max_uses) return { ok:false, error:'promo_exhausted' };
+  if (plan && promo.plans?.length && !promo.plans.includes(plan.code)) return { ok:false, error:'promo_wrong_plan' };
+  const used = await pool.query(`select 1 from promo_redemptions where code = $1 and user_id = $2`, [c, userId]);
+  if (used.rowCount) return { ok:false, error:'promo_already_used' };
+
+  if (!plan) return { ok:true, promo, prices:null, discountRub:0, bonusDays: promo.bonus_days };
+  const prices = {
+    RUB: discountedPrice(promo, plan, 'RUB'),
+    XTR: discountedPrice(promo, plan, 'XTR'),
+    USD: discountedPrice(promo, plan, 'USD'),
+  };
+  const rub = planPrice(plan, 'RUB');
+  const discountRub = rub != null && prices.RUB != null ? rub - prices.RUB : 0;
+  return { ok:true, promo, prices, discountRub, bonusDays: promo.bonus_days };
+}
+
+// Погашение кода: резерв использования атомарно — уникальная запись (code, user_id)
+// и used_count + 1 только пока не достигнут max_uses. Проверка quotePromo лишь
+// подсказка для экрана оплаты, право на скидку/дни даёт только этот резерв.
+// client — транзакция вызывающего: при отказе её откатывают, выдачи не будет
+// → { ok:true, bonusDays } | { ok:false, error:'promo_already_used' | 'promo_exhausted' }
+async function redeemPromo(code, userId, { orderId = null, plan = null, discountRub = 0, client = pool } = {}) {
+  const ins = await client.query(`
+    insert into promo_redemptions (code, user_id, order_id, plan, discount_rub, bonus_days)
+    select code, $2, $3, $4, $5, bonus_days from promo_codes where code = $1
+    on conflict (code, user_id) do nothing
+    returning bonus_days
+  `, [code, userId, orderId, plan, discountRub || 0]);
+  if (!ins.rowCount) return { ok:false, error:'promo_already_used' };
+  const up = await client.query(`
+    update promo_codes set used_count = used_count + 1
+    where code = $1 and (max_uses is null or used_count < max_uses)
+  `, [code]);
+  if (!up.rowCount) {
+    await client.query(`delete from promo_redemptions where code = $1 and user_id = $2`, [code, userId]);
+    return { ok:false, error:'promo_exhausted' };
+  }
+  return { ok:true, bonusDays: ins.rows[0].bonus_days };
+}
+
+// Промокод из тела запроса на оплату → { quote } (null — кода нет) | { error }
+async function checkoutPromo(req, userId, plan) {
+  if (!req.body?.promo) return { quote: null };
+  const quote = await quotePromo(req.body.promo, userId, plan);
+  return quote.ok ? { quote } : { error: quote.error };
+}
+
+// Скидка 100% → оплачивать нечего: резервируем код и выдаём подписку в одной транзакции
+// → { ok:true, until } | { ok:false, error } (код уже погашен / исчерпан)
+async function grantFreeByPromo(userId, plan, quote) {
+  const r = await withTransaction(async (client) => {
+    const red = await redeemPromo(quote.promo.code, userId, {
+      plan: plan.code, discountRub: quote.discountRub, client
+    });
+    if (!red.ok) return red;
+    const until = await grantSubscription(userId, plan.code, { extraDays: red.bonusDays, client, notify: false });
+    return { ok:true, until };
+  });
+  if (r.ok) await notifyActivated(userId, r.until);
+  return r;
+}
+
+// статус подписки (читает из БД) — общий для /api/sub/me и /status в боте
+async function getSubStatus(userId) {
+  const q = await pool.query(`select plan, until from subscriptions where user_id = $1`, [userId]);
+  const row = q.rows[0];
+  const active = row?.until ? new Date(row.until) > new Date() : false;
+  // можно ли показать триал
+  const t = await pool.query(`select 1 from free_trials where user_id = $1`, [userId]);
+  const trialEligible = !t.rowCount;
+  return { active, until: active ? row.until : null, plan: row?.plan || null, trialEligible };
+}
+
+app.get('/api/sub/me', requireNotBlocked, async (req, res) => {
+  try {
+    const user = getUserFromInitData(getInitDataFromReq(req));
+    res.json(await getSubStatus(user.id));
+  } catch (e) {
+    console.error('[sub/me]', e);
+    res.status(401).json({ error: 'initData verification failed' });
+  }
+});
+// Claim 7-day free trial (once per user)
+app.post('/api/sub/claimTrial', requireNotBlocked, async (req, res) => {
+  try {
+    const user = getUserFromInitData(getInitDataFromReq(req));
+    const t = await pool.query(`select 1 from free_trials where user_id = $1`, [user.id]);
+    if (t.rowCount) return res.status(400).json({ ok:false, error:'already_claimed' });
+
+    const q = await pool.query(`select until from subscriptions where user_id = $1`, [user.id]);
+    const active = q.rowCount && q.rows[0].until && new Date(q.rows[0].until) > new Date();
+    if (active) return res.status(400).json({ ok:false, error:'already_active' });
+
+    await pool.query(`insert into free_trials (user_id) values ($1) on conflict do nothing`, [user.id]);
+    await grantSubscription(user.id, '1m'); // 30 дней
+    res.json({ ok:true });
+  } catch (e) {
+    console.error('[claimTrial]', e);
+    res.status(401).json({ ok:false, error: 'initData verification failed' });
+  }
+});
+
+// ===== Промокоды (мини-апп)
+// GET /api/promo/check?code=SUMMER&plan=1m — цена со скидкой для экрана оплаты
+app.get('/api/promo/check', requireNotBlocked, async (req, res) => {
+  try {
+    const plan = req.query.plan ? await getPlan(req.query.plan, { visibleOnly: true }) : null;
+    if (req.query.plan && !plan) return res.status(400).json({ ok:false, error:'bad_plan' });
+    const q = await quotePromo(req.query.code, req.user.id, plan);
+    if (!q.ok) return res.status(400).json({ ok:false, error:q.error });
+    res.json({
+      ok:true, code: q.promo.code, kind: q.promo.kind,
+      prices: q.prices, discountRub: q.discountRub, bonusDays: q.bonusDays
+    });
+  } catch (e) {
+    console.error('[promo/check]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /api/promo/redeem { code } — коды с бесплатными днями ('days') без оплаты
+app.post('/api/promo/redeem', requireNotBlocked, async (req, res) => {
+  try {
+    const q = await quotePromo(req.body?.code, req.user.id, null);
+    if (!q.ok) return res.status(400).json({ ok:false, error:q.error });
+    if (q.promo.kind !== 'days' || !q.bonusDays) return res.status(400).json({ ok:false, error:'promo_needs_payment' });
+
+    const r = await withTransaction(async (client) => {
+      const red = await redeemPromo(q.promo.code, req.user.id, { client });
+      if (!red.ok) return red;
+      const until = await grantSubscription(req.user.id, null, { extraDays: red.bonusDays, client, notify: false });
+      return { ok:true, until, bonusDays: red.bonusDays };
+    });
+    if (!r.ok) return res.status(400).json({ ok:false, error:r.error });
+    await notifyActivated(req.user.id, r.until);
+    res.json({ ok:true, until: r.until, bonusDays: r.bonusDays });
+  } catch (e) {
+    console.error('[promo/redeem]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// ===== PAYMENTS START =====
+
+// 1) Stars (как было) — создаёт инвойс в Stars и шлёт его в чат
+app.post('/api/pay/stars', requireNotBlocked, async (req, res) => {
+  try {
+    const user = getUserFromInitData(getInitDataFromReq(req));
+    const { plan } = req.body || {};
+    const t = await getPlan(plan, { visibleOnly: true });
+    if (!planPrice(t, 'XTR')) return res.status(400).json({ ok:false, error:'bad_plan' });
+
+    const { quote, error } = await checkoutPromo(req, user.id, t);
+    if (error) return res.status(400).json({ ok:false, error });
+    if (quote && !quote.prices.XTR) {
+      const g = await grantFreeByPromo(user.id, t, quote);
+      if (!g.ok) return res.status(400).json({ ok:false, error:g.error });
+      return res.json({ ok:true, free:true, until: g.until });
+    }
+    // тот же payload (с ts), что у /api/pay/invoice и /renew — иначе pre_checkout отклонит счёт
+    const inv = starsInvoice(user.id, t, { quote });
+    const bad = await precheckStarsInvoice(user.id, inv);
+    if (bad) {
+      console.error('[pay/stars] invoice fails pre_checkout', bad, inv.payload);
+      return res.status(400).json({ ok:false, error: bad });
+    }
+
+    await bot.api.sendInvoice(user.id, inv.title, inv.description, inv.payload, inv.currency, inv.prices, {
+      photo_url: process.env.MINI_APP_URL
+        ? process.env.MINI_APP_URL + "/free-icon-vpn-7517284.png"
+        : undefined,
+    });
+
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[pay/stars]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
 
 
 // 2) Card (APays) — создание ордера по их докам:
@@ -829,11 +2007,20 @@ app.post('/api/pay/card', requireNotBlocked, async (req, res) => {
     }
 
     const user = getUserFromInitData(getInitDataFromReq(req));
-    const plan = String(req.body?.plan || '').trim();
-    const tariff = await getTariffByCode(plan);
-    if (!tariff) return res.status(400).json({ ok:false, error:'bad_plan' });
+    const tariff = await getPlan(req.body?.plan, { visibleOnly: true });
+    if (!planPrice(tariff, 'RUB')) return res.status(400).json({ ok:false, error:'bad_plan' });
+    const plan = tariff.code;
+
+    const { quote, error } = await checkoutPromo(req, user.id, tariff);
+    if (error) return res.status(400).json({ ok:false, error });
+    if (quote && !quote.prices.RUB) {
+      const g = await grantFreeByPromo(user.id, tariff, quote);
+      if (!g.ok) return res.status(400).json({ ok:false, error:g.error });
+      return res.json({ ok:true, free:true, until: g.until });
+    }
 
-    const amountRub   = Number(tariff.price_rub);
+    const amountRub   = quote ? quote.prices.RUB : planPrice(tariff, 'RUB');
+    const promoMeta   = quote ? { promo: quote.promo.code, discount_rub: quote.discountRub } : null;
 const amountToSend = Math.round(amountRub * 100); // ⬅️ КОПЕЙКИ
 
 const order_id = `tg${user.id}-${Date.now()}`;
@@ -844,10 +2031,15 @@ const sign = md5Hex(`${order_id}:${amountToSend}:${APAYS_SECRET}`);
 
     // сохраним «черновик» ордера
     await pool.query(`
-      insert into apays_orders(order_id, user_id, plan, amount_rub, amount_minor, status)
-      values($1,$2,$3,$4,$5,'new')
+      insert into apays_orders(order_id, user_id, plan, amount_rub, amount_minor, status, tariff_version, promo_code, discount_rub)
+      values($1,$2,$3,$4,$5,'new',$6,$7,$8)
       on conflict(order_id) do nothing
-    `, [order_id, user.id, plan, amountRub, Math.round(amountRub * 100)]);
+    `, [order_id, user.id, plan, amountRub, Math.round(amountRub * 100), tariff.version,
+        promoMeta?.promo || null, promoMeta?.discount_rub || 0]);
+    const order = await ledgerUpsertOrder({
+      provider: 'apays', txId: order_id, userId: user.id, plan, amount: amountRub, currency: 'RUB',
+      meta: promoMeta, tariffVersion: tariff.version
+    });
 
     // вызываем APays
     const url = new URL('/backend/create_order', APAYS_BASE);
@@ -865,8 +2057,10 @@ const sign = md5Hex(`${order_id}:${amountToSend}:${APAYS_SECRET}`);
 
     // По докам успех: { status: true, url: "https://apays.io/pay/..." }
     if (j && j.status === true && j.url) {
+      await ledgerTransition(order.id, 'pending');
       return res.json({ ok:true, order_id, pay_url: j.url });
     }
+    await ledgerTransition(order.id, 'failed');
 
     // Ошибка — вернём тело для наглядности причины (клиент/сумма/подпись)
     return res.status(500).json({
@@ -906,15 +2100,22 @@ app.post('/api/pay/apays-callback', async (req, res) => {
 
     const st = String(status).toLowerCase();
     if (st === 'approved') {
+      const { user_id, plan, amount_rub } = q.rows[0];
+
+      // ledger: платёж (в рублях) + подписка — ровно один раз на order_id.
+      // apays_orders → 'paid' только после выдачи: иначе при ошибке повтор вебхука отсеется выше
+      const r = await settleOrder({
+        provider: 'apays', txId: order_id,
+        userId: Number(user_id), plan, amount: amount_rub, currency: 'RUB'
+      });
+      if (!orderSettled(r)) {
+        console.error('[apays webhook] order not settled', { order_id, status: r.order?.status });
+        return res.status(409).send('not settled');
+      }
       await pool.query(
         `update apays_orders set status='paid', paid_at=now() where order_id=$1`,
         [order_id]
       );
-      const { user_id, plan, amount_rub } = q.rows[0];
-
-      // записываем платёж (в рублях) и выдаём подписку
-      await dbRecordPayment(user_id, plan, 0, amount_rub);
-      await grantSubscription(user_id, plan);
 
       return res.status(200).send('ok');
     } else {
@@ -922,6 +2123,7 @@ app.post('/api/pay/apays-callback', async (req, res) => {
         `update apays_orders set status='failed' where order_id=$1`,
         [order_id]
       );
+      await ledgerFail('apays', order_id);
       return res.status(200).send('ok');
     }
   } catch (e) {
@@ -931,26 +2133,6 @@ app.post('/api/pay/apays-callback', async (req, res) => {
 });
 
 
-// 4) Подтверждение Stars от бота (как было)
-app.post('/api/pay/confirm', async (req, res) => {
-  try {
-    const { userId, plan } = req.body || {};
-    if (!userId || !plan) return res.status(400).json({ ok:false, error:'bad_args' });
-
-    const code = String(plan).trim();
-    const until = await grantSubscription(Number(userId), code);
-
-    // запишем платёж с amount_stars
-    const stars = STARS_PRICE[code] || 0;
-    await dbRecordPayment(Number(userId), code, stars, 0);
-
-    res.json({ ok:true, until });
-  } catch (e) {
-    console.error('[pay/confirm]', e);
-    res.status(500).json({ ok:false, error:'server_error' });
-  }
-});
-
 // (Опц.) Поллинг статуса у APays, если вебхук не пришёл:
 app.get('/api/pay/card/status', async (req, res) => {
   try {
@@ -1042,144 +2224,795 @@ app.get('/admin/users', requireAdmin, async (req, res) => {
   try {
     const limit  = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
     const offset = Math.max(0, Number(req.query.offset) || 0);
+    // sort=traffic — самые «тяжёлые» за TRAFFIC_PERIOD_DAYS (поиск абьюза, планирование ёмкости)
+    const byTraffic = req.query.sort === 'traffic';
     const q = `
       select u.id, u.username, u.photo, u.created_at,
-             s.plan as sub_plan, s.until as sub_until
+             s.plan as sub_plan, s.until as sub_until,
+             coalesce(t.up, 0)::bigint as up_bytes, coalesce(t.down, 0)::bigint as down_bytes
       from users u
       left join subscriptions s on s.user_id = u.id
-      order by u.created_at desc
+      left join (
+        select user_id, sum(up_bytes) as up, sum(down_bytes) as down
+        from traffic_daily
+        where day > current_date - $3::int
+        group by user_id
+      ) t on t.user_id = u.id
+      order by ${byTraffic ? 'coalesce(t.up, 0) + coalesce(t.down, 0) desc, ' : ''}u.created_at desc
       limit $1 offset $2
     `;
-    const rows = (await pool.query(q, [limit, offset])).rows.map(r => ({
+    const rows = (await pool.query(q, [limit, offset, TRAFFIC_PERIOD_DAYS])).rows.map(r => ({
       id: r.id,
       username: r.username || ('@' + r.id),
       photo: r.photo,
       created_at: r.created_at,
       subActive: r.sub_until ? new Date(r.sub_until) > new Date() : false,
       subPlan: r.sub_plan || null,
-      subUntil: r.sub_until || null
+      subUntil: r.sub_until || null,
+      traffic: { upBytes: Number(r.up_bytes), downBytes: Number(r.down_bytes) }
     }));
-    res.json({ ok: true, items: rows });
+    res.json({ ok: true, items: rows, trafficPeriodDays: TRAFFIC_PERIOD_DAYS });
   } catch (e) {
     console.error('[admin/users]', e);
     res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
-// --- ВЫДАТЬ ПОДПИСКУ ПО ПЛАНУ
-// POST /admin/sub/grant  { userId, plan }  план: 'w'|'1m'|'3m'|'6m'|'1y'
-app.post('/admin/sub/grant', requireAdmin, async (req, res) => {
+// GET /admin/users/:id/traffic?days=30 — по дням и серверам
+app.get('/admin/users/:id/traffic', requireAdmin, async (req, res) => {
   try {
-    const { userId, plan } = req.body || {};
-    if (!userId || !plan) return res.status(400).json({ ok:false, error:'bad_args' });
+    const days = Math.min(365, Math.max(1, Number(req.query.days) || TRAFFIC_PERIOD_DAYS));
+    const q = await pool.query(`
+      select t.day, t.server_id, s.name as server, t.up_bytes, t.down_bytes
+      from traffic_daily t
+      left join servers s on s.id = t.server_id
+      where t.user_id = $1 and t.day > current_date - $2::int
+      order by t.day desc, t.server_id
+    `, [Number(req.params.id), days]);
+    res.json({ ok:true, items: q.rows.map(r => ({ ...r, up_bytes: Number(r.up_bytes), down_bytes: Number(r.down_bytes) })) });
+  } catch (e) {
+    console.error('[admin/users/traffic]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
 
-    const until = await grantSubscription(Number(userId), String(plan));
-    // grantSubscription уже сам шлёт notifySubActivated
-    res.json({ ok:true, until });
+// --- /admin/orders — ledger платежей (фильтры: status, userId, provider)
+app.get('/admin/orders', requireAdmin, async (req, res) => {
+  try {
+    const limit  = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const rows = (await pool.query(`
+      select id, provider, provider_tx_id, user_id, plan, amount, currency, status,
+             granted_days, created_at, updated_at, paid_at, refunded_at
+      from orders
+      where ($1::text   is null or status = $1)
+        and ($2::bigint is null or user_id = $2)
+        and ($3::text   is null or provider = $3)
+      order by id desc
+      limit $4 offset $5
+    `, [req.query.status || null, Number(req.query.userId) || null, req.query.provider || null, limit, offset])).rows;
+    res.json({ ok:true, items: rows.map(r => ({ ...r, amount: Number(r.amount) })) });
   } catch (e) {
-    console.error('[admin/sub/grant]', e);
+    console.error('[admin/orders]', e);
     res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
+// --- ПРОФИЛИ НОД
+const PROFILE_FIELDS = ['title', 'bandwidth_mbps', 'slot_limit', 'per_user_cap_mbps', 'per_user_ceil_mbps', 'overcommit'];
+
+// Тело запроса → поля server_profiles (undefined — не трогаем) или строка-ошибка
+function parseProfileInput(body) {
+  const out = {};
+  for (const k of PROFILE_FIELDS) {
+    const v = body[k];
+    if (v === undefined) continue;
+    if (k === 'title') {
+      if (!String(v).trim()) return 'bad_title';
+      out.title = String(v).trim();
+    } else if (k === 'slot_limit' && (v === null || v === '')) {
+      out.slot_limit = null;
+    } else {
+      const n = Number(v);
+      if (!(n > 0) || (k !== 'overcommit' && !Number.isInteger(n))) return `bad_${k}`;
+      out[k] = n;
+    }
+  }
+  return out;
+}
 
+// Переносит профиль в config всех его серверов
+async function applyProfileToServers(profile) {
+  const q = await pool.query(
+    `update servers set config = coalesce(config, '{}'::jsonb) || $2::jsonb where profile_id = $1`,
+    [profile.id, profileLimits(profile)]
+  );
+  return q.rowCount;
+}
 
-// --- ОТМЕНИТЬ ПОДПИСКУ (делаем неактивной сейчас) + немедленно инвалидируем VLESS
-app.post('/admin/sub/cancel', requireAdmin, async (req, res) => {
+app.get('/admin/server-profiles', requireAdmin, async (req, res) => {
   try {
-    const { userId } = req.body || {};
-    if (!userId) return res.status(400).json({ ok:false, error:'bad_args' });
+    const q = await pool.query(`
+      select p.*, (select count(*)::int from servers s where s.profile_id = p.id) as servers
+      from server_profiles p
+      order by p.bandwidth_mbps, p.id
+    `);
+    res.json({ ok:true, items: q.rows.map(p => ({
+      ...p, overcommit: Number(p.overcommit), effective_slots: profileLimits(p).slot_limit,
+    })) });
+  } catch (e) {
+    console.error('[admin/server-profiles][GET]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
 
-    await pool.query(`update subscriptions set until = now() - interval '1 second' where user_id = $1`, [userId]);
-    await pool.query(`update vless_clients set expires_at = now() - interval '1 second', updated_at = now() where user_id = $1`, [userId]);
+// POST /admin/server-profiles { code, title, bandwidth_mbps, slot_limit?, per_user_cap_mbps, per_user_ceil_mbps, overcommit? }
+app.post('/admin/server-profiles', requireAdmin, async (req, res) => {
+  try {
+    const code = String(req.body?.code || '').trim().toLowerCase();
+    if (!/^[a-z0-9_-]{1,32}$/.test(code)) return res.status(400).json({ ok:false, error:'bad_code' });
+    const f = parseProfileInput(req.body || {});
+    if (typeof f === 'string') return res.status(400).json({ ok:false, error:f });
+    if (!f.title || !f.bandwidth_mbps || !f.per_user_cap_mbps || !f.per_user_ceil_mbps) {
+      return res.status(400).json({ ok:false, error:'bad_args' });
+    }
+    const q = await pool.query(`
+      insert into server_profiles (code, title, bandwidth_mbps, slot_limit, per_user_cap_mbps, per_user_ceil_mbps, overcommit)
+      values ($1,$2,$3,$4,$5,$6,$7)
+      on conflict (code) do nothing
+      returning *
+    `, [code, f.title, f.bandwidth_mbps, f.slot_limit ?? null, f.per_user_cap_mbps, f.per_user_ceil_mbps, f.overcommit ?? 1]);
+    if (!q.rowCount) return res.status(409).json({ ok:false, error:'code_exists' });
+    res.json({ ok:true, item: q.rows[0] });
+  } catch (e) {
+    console.error('[admin/server-profiles][POST]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
 
-    
-        try { await notifySubExpired(Number(userId)); } catch (e) { console.error('notifySubExpired', e); }
+// PATCH /admin/server-profiles/:id — изменения сразу применяются к серверам профиля
+app.patch('/admin/server-profiles/:id', requireAdmin, async (req, res) => {
+  try {
+    const f = parseProfileInput(req.body || {});
+    if (typeof f === 'string') return res.status(400).json({ ok:false, error:f });
+    const cols = Object.keys(f);
+    if (!cols.length) return res.status(400).json({ ok:false, error:'nothing_to_update' });
+    const q = await pool.query(`
+      update server_profiles
+         set ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = now()
+       where id = $1
+       returning *
+    `, [Number(req.params.id), ...cols.map(c => f[c])]);
+    if (!q.rowCount) return res.status(404).json({ ok:false, error:'not_found' });
+    const servers = await applyProfileToServers(q.rows[0]);
+    res.json({ ok:true, item: q.rows[0], servers });
+  } catch (e) {
+    console.error('[admin/server-profiles][PATCH]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+app.delete('/admin/server-profiles/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const used = (await pool.query(`select count(*)::int as n from servers where profile_id = $1`, [id])).rows[0].n;
+    if (used) return res.status(409).json({ ok:false, error:'profile_in_use', servers: used });
+    await pool.query(`delete from server_profiles where id = $1`, [id]);
     res.json({ ok:true });
   } catch (e) {
-    console.error('[admin/sub/cancel]', e);
+    console.error('[admin/server-profiles][DELETE]', e);
     res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
+// GET /admin/servers/:id/health — история смен статуса
+app.get('/admin/servers/:id/health', requireAdmin, async (req, res) => {
+  try {
+    const q = await pool.query(`
+      select status, reason, moved_users, created_at
+      from server_health_events
+      where server_id = $1
+      order by id desc
+      limit 100
+    `, [Number(req.params.id)]);
+    res.json({ ok:true, items: q.rows });
+  } catch (e) {
+    console.error('[admin/servers/health]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
 
-// --- ЗАБЛОКИРОВАТЬ ПОЛЬЗОВАТЕЛЯ
-// POST /admin/block  { userId, reason, until }  (until — ISO-строка или null)
-app.post('/admin/block', requireAdmin, async (req, res) => {
+// --- ПОДДЕРЖКА (тикеты)
+// GET /admin/tickets?status=open|answered|closed|all&mine=1
+app.get('/admin/tickets', requireAdmin, async (req, res) => {
   try {
-    const { userId, reason, until } = req.body || {};
-    if (!userId) return res.status(400).json({ ok:false, error:'bad_args' });
-    await pool.query(`
-      insert into blocks (user_id, reason, until)
-      values ($1,$2,$3)
-      on conflict (user_id) do update set reason = excluded.reason, until = excluded.until
-    `, [userId, reason || null, until ? new Date(until) : null]);
-    res.json({ ok:true });
+    const status = req.query.status && req.query.status !== 'all' ? String(req.query.status) : null;
+    const q = await pool.query(`
+      select t.id, t.user_id, u.username, t.status, t.subject, t.source, t.assignee,
+             t.created_at, t.updated_at,
+             (select count(*)::int from ticket_messages m where m.ticket_id = t.id) as messages
+      from tickets t
+      left join users u on u.id = t.user_id
+      where ($1::text is null or t.status = $1)
+        and ($2::bigint is null or t.assignee = $2)
+      order by (t.status = 'open') desc, t.updated_at desc
+      limit 200
+    `, [status, req.query.mine ? req.admin.id : null]);
+    res.json({ ok:true, items: q.rows });
   } catch (e) {
-    console.error('[admin/block]', e);
+    console.error('[admin/tickets]', e);
     res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
-// --- РАЗБЛОКИРОВАТЬ ПОЛЬЗОВАТЕЛЯ
-// POST /admin/unblock  { userId }
-app.post('/admin/unblock', requireAdmin, async (req, res) => {
+// GET /admin/tickets/:id — переписка + контекст (снимок при открытии и текущий)
+app.get('/admin/tickets/:id', requireAdmin, async (req, res) => {
   try {
-    const { userId } = req.body || {};
-    if (!userId) return res.status(400).json({ ok:false, error:'bad_args' });
-    await pool.query(`delete from blocks where user_id = $1`, [userId]);
-    res.json({ ok:true });
+    const t = (await pool.query(`
+      select t.*, u.username from tickets t left join users u on u.id = t.user_id where t.id = $1
+    `, [Number(req.params.id)])).rows[0];
+    if (!t) return res.status(404).json({ ok:false, error:'not_found' });
+    res.json({
+      ok:true, ticket: t,
+      messages: await ticketMessages(t.id),
+      context: await ticketContext(Number(t.user_id)),
+    });
   } catch (e) {
-    console.error('[admin/unblock]', e);
+    console.error('[admin/tickets/:id]', e);
     res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
-// --- РАССЫЛКА ВСЕМ ПОЛЬЗОВАТЕЛЯМ
-// POST /admin/broadcast  { text }
-app.post('/admin/broadcast', requireAdmin, async (req, res) => {
+// POST /admin/tickets/:id/reply { text }
+app.post('/admin/tickets/:id/reply', requireAdmin, async (req, res) => {
   try {
-    const { text } = req.body || {};
-    if (!text || !text.trim()) return res.status(400).json({ ok:false, error:'empty_text' });
+    const text = String(req.body?.text || '').trim().slice(0, 4000);
+    if (!text) return res.status(400).json({ ok:false, error:'empty_text' });
+    const r = await ticketAdminReply(Number(req.params.id), req.admin.id, text);
+    if (!r.ok) return res.status(r.error === 'not_found' ? 404 : 409).json(r);
+    res.json({ ok:true });
+  } catch (e) {
+    console.error('[admin/tickets/reply]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
 
-    const token = process.env.BOT_TOKEN;
-    const users = (await pool.query(`select id from users order by id`)).rows;
+// POST /admin/tickets/:id/assign { adminId? } — без adminId назначает себя, null — снять
+app.post('/admin/tickets/:id/assign', requireAdmin, async (req, res) => {
+  try {
+    const adminId = req.body?.adminId === null ? null : Number(req.body?.adminId || req.admin.id);
+    if (adminId && !adminIds().includes(adminId)) return res.status(400).json({ ok:false, error:'not_admin' });
+    const q = await pool.query(
+      `update tickets set assignee = $2, updated_at = now() where id = $1 returning id, assignee`,
+      [Number(req.params.id), adminId]
+    );
+    if (!q.rowCount) return res.status(404).json({ ok:false, error:'not_found' });
+    res.json({ ok:true, ticket: q.rows[0] });
+  } catch (e) {
+    console.error('[admin/tickets/assign]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
 
-    let ok = 0, fail = 0;
-    for (const [i, u] of users.entries()) {
-      try {
-        const r = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
-          method:'POST',
-          headers:{ 'content-type':'application/json' },
-          body: JSON.stringify({ chat_id: u.id, text, disable_web_page_preview: true })
-        });
-        if (r.ok) ok++; else fail++;
-      } catch { fail++; }
-      if (i % 20 === 19) await new Promise(r => setTimeout(r, 1000)); // ~20/сек
+// POST /admin/tickets/:id/status { status: open|answered|closed }
+app.post('/admin/tickets/:id/status', requireAdmin, async (req, res) => {
+  try {
+    const status = String(req.body?.status || '');
+    if (!['open', 'answered', 'closed'].includes(status)) return res.status(400).json({ ok:false, error:'bad_status' });
+    const q = await pool.query(`
+      update tickets
+         set status = $2, updated_at = now(),
+             closed_at = case when $2 = 'closed' then now() else null end
+       where id = $1
+       returning id, user_id, status
+    `, [Number(req.params.id), status]);
+    if (!q.rowCount) return res.status(404).json({ ok:false, error:'not_found' });
+    if (status === 'closed') {
+      try { await bot.api.sendMessage(Number(q.rows[0].user_id), `✅ Обращение #${q.rows[0].id} закрыто. Если вопрос остался — /support.`); }
+      catch (e) { console.error('[support] notify close', e?.description || e); }
     }
-
-    res.json({ ok:true, sent: ok, failed: fail, total: users.length });
+    res.json({ ok:true, ticket: q.rows[0] });
   } catch (e) {
-    console.error('[admin/broadcast]', e);
+    console.error('[admin/tickets/status]', e);
     res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
-// GET /admin/servers — с агрегатами: выдано/лимит, пер-юзер лимиты из config, активные IP
-app.get('/admin/servers', requireAdmin, async (req, res) => {
+// --- ВОЗВРАТ STARS
+// POST /admin/orders/:id/refund — refundStarPayment по telegram_payment_charge_id,
+// затем заказ → 'refunded', откат выданных дней, сторно реферальных начислений
+app.post('/admin/orders/:id/refund', requireAdmin, async (req, res) => {
   try {
-    // 1) Берём все сервера
-    const servers = (await pool.query(
-      `select id, name, host, port, proto, country, active, config, created_at
-       from servers
-       order by created_at desc`
-    )).rows;
+    const q = await pool.query(`select * from orders where id = $1`, [Number(req.params.id)]);
+    const order = q.rows[0];
+    if (!order) return res.status(404).json({ ok:false, error:'not_found' });
+    if (order.provider !== 'stars') return res.status(400).json({ ok:false, error:'not_stars_order' });
+    if (order.status !== 'paid') return res.status(409).json({ ok:false, error:'bad_status', status: order.status });
 
-    if (!servers.length) return res.json({ ok:true, items: [] });
+    try {
+      await bot.api.refundStarPayment(Number(order.user_id), order.provider_tx_id);
+    } catch (e) {
+      console.error('[admin/orders/refund] telegram', e);
+      return res.status(502).json({ ok:false, error:'telegram_refund_failed', detail: e?.description || String(e) });
+    }
 
-    const ids = servers.map(s => s.id);
+    // платёж автопродления — отключаем его, иначе Telegram спишет звёзды в следующем периоде
+    const uid = Number(order.user_id);
+    const sub = (await pool.query(`
+      select charge_id from stars_subscriptions
+      where user_id = $1 and status = 'active'
+        and ($2 or charge_id = $3 or last_charge_id = $3)
+    `, [uid, !!order.meta?.sub_expires, order.provider_tx_id])).rows[0];
+    let autoRenewCanceled = false;
+    if (sub) {
+      try {
+        await bot.api.editUserStarSubscription(uid, sub.charge_id, true);
+        autoRenewCanceled = true;
+      } catch (e) {
+        console.error('[admin/orders/refund] cancel autorenew', e?.description || e);
+      }
+    }
 
-    // 2) Сколько пользователей назначено на каждый сервер
+    // откат заказа, дней и реферальных начислений — вместе или никак
+    const days = order.granted_days ?? ((await getPlan(order.plan))?.duration_days || 0);
+    const r = await withTransaction(async (client) => {
+      const refunded = await ledgerTransition(order.id, 'refunded', client);
+      if (!refunded) return null;
+      await client.query(`update orders set refunded_at = now() where id = $1`, [order.id]);
+      const until = await revokeSubscriptionDays(uid, days, client);
+      await refClawback(order.id, client);
+      if (autoRenewCanceled) {
+        await client.query(`
+          update stars_subscriptions set status = 'canceled', canceled_at = now(), updated_at = now()
+          where user_id = $1
+        `, [uid]);
+      }
+      return { refunded, until };
+    });
+    if (!r) return res.status(409).json({ ok:false, error:'already_refunded' });
+    const { refunded, until } = r;
+    console.log('[ledger] refunded', { id: order.id, userId: uid, days, autoRenewCanceled });
+
+    try { await notifySubRefunded(uid, Number(order.amount), until); } catch (e) { console.error('notifySubRefunded', e); }
+    res.json({ ok:true, order: { ...refunded, amount: Number(refunded.amount) }, revokedDays: days, until, autoRenewCanceled });
+  } catch (e) {
+    console.error('[admin/orders/refund]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// --- ТАРИФЫ (редактор каталога + история цен)
+const TARIFF_FIELDS = ['title', 'duration_days', 'price_rub', 'price_xtr', 'price_usd', 'visible', 'sort_order'];
+// поля, изменение которых создаёт новую версию в tariff_price_history
+const TARIFF_VERSIONED = ['title', 'duration_days', 'price_rub', 'price_xtr', 'price_usd', 'visible'];
+
+// Приводит тело запроса к полям tariffs; undefined — поле не трогаем, ошибка — строка
+function parseTariffInput(body) {
+  const out = {};
+  for (const k of TARIFF_FIELDS) {
+    if (body[k] === undefined) continue;
+    const v = body[k];
+    if (k === 'title') {
+      if (!String(v || '').trim()) return 'bad_title';
+      out.title = String(v).trim();
+    } else if (k === 'visible') {
+      out.visible = !!v;
+    } else if (k === 'duration_days' || k === 'sort_order') {
+      if (!Number.isInteger(Number(v)) || (k === 'duration_days' && Number(v) <= 0)) return 'bad_' + k;
+      out[k] = Number(v);
+    } else {
+      // цены: null/'' — не продаётся в этой валюте
+      if (v === null || v === '') { out[k] = null; continue; }
+      const n = Number(v);
+      if (!Number.isFinite(n) || n < 0) return 'bad_' + k;
+      out[k] = k === 'price_usd' ? Math.round(n * 100) / 100 : Math.round(n);
+    }
+  }
+  return out;
+}
+
+async function insertTariffHistory(client, row, adminId) {
+  await client.query(`
+    insert into tariff_price_history
+      (tariff_id, version, code, title, price_rub, price_xtr, price_usd, duration_days, visible, changed_by)
+    values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+  `, [row.id, row.version, row.code, row.title, row.price_rub, row.price_xtr, row.price_usd,
+      row.duration_days, row.visible, adminId || null]);
+}
+
+// GET /admin/tariffs — все тарифы, включая скрытые
+app.get('/admin/tariffs', requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok:true, items: await listPlans({ visibleOnly: false }) });
+  } catch (e) {
+    console.error('[admin/tariffs][GET]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /admin/tariffs  { code, title, duration_days, price_rub, price_xtr, price_usd, visible }
+app.post('/admin/tariffs', requireAdmin, async (req, res) => {
+  const code = String(req.body?.code || '').trim();
+  if (!/^[a-z0-9_-]{1,16}$/i.test(code)) return res.status(400).json({ ok:false, error:'bad_code' });
+  const f = parseTariffInput(req.body || {});
+  if (typeof f === 'string') return res.status(400).json({ ok:false, error:f });
+  if (!f.title || !f.duration_days) return res.status(400).json({ ok:false, error:'bad_args' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const row = (await client.query(`
+      insert into tariffs (id, code, title, price_rub, price_xtr, price_usd, duration_days, visible, sort_order)
+      select coalesce(max(id), 0) + 1, $1, $2, coalesce($3, 0), $4, $5, $6, coalesce($7, true),
+             coalesce($8, coalesce(max(sort_order), 0) + 1)
+      from tariffs
+      returning *
+    `, [code, f.title, f.price_rub, f.price_xtr, f.price_usd, f.duration_days, f.visible, f.sort_order])).rows[0];
+    await insertTariffHistory(client, row, req.admin?.id);
+    await client.query('COMMIT');
+    res.json({ ok:true, item: mapPlanRow(row) });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.code === '23505') return res.status(409).json({ ok:false, error:'code_exists' });
+    console.error('[admin/tariffs][POST]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /admin/tariffs/:id  { title?, duration_days?, price_rub?, price_xtr?, price_usd?, visible?, sort_order? }
+// код тарифа не меняется: на него ссылаются подписки и заказы
+app.patch('/admin/tariffs/:id', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  const f = parseTariffInput(req.body || {});
+  if (typeof f === 'string') return res.status(400).json({ ok:false, error:f });
+  if (!Object.keys(f).length) return res.status(400).json({ ok:false, error:'bad_args' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const cur = (await client.query(`select * from tariffs where id = $1 for update`, [id])).rows[0];
+    if (!cur) { await client.query('ROLLBACK'); return res.status(404).json({ ok:false, error:'not_found' }); }
+
+    const same = (a, b) => (a == null ? null : String(Number(a))) === (b == null ? null : String(Number(b)));
+    const changed = TARIFF_VERSIONED.some(k => f[k] !== undefined && (
+      k === 'title' || k === 'visible' ? f[k] !== cur[k] : !same(f[k], cur[k])
+    ));
+
+    const next = { ...cur, ...f, version: cur.version + (changed ? 1 : 0) };
+    const row = (await client.query(`
+      update tariffs
+         set title = $2, duration_days = $3, price_rub = $4, price_xtr = $5, price_usd = $6,
+             visible = $7, sort_order = $8, version = $9, updated_at = now()
+       where id = $1
+       returning *
+    `, [id, next.title, next.duration_days, next.price_rub ?? 0, next.price_xtr, next.price_usd,
+        next.visible, next.sort_order, next.version])).rows[0];
+    if (changed) await insertTariffHistory(client, row, req.admin?.id);
+    await client.query('COMMIT');
+    res.json({ ok:true, item: mapPlanRow(row) });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error('[admin/tariffs][PATCH]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /admin/tariffs/reorder  { ids: [3,1,2,...] } — порядок показа в мини-аппе
+app.post('/admin/tariffs/reorder', requireAdmin, async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(Number).filter(Boolean) : [];
+    if (!ids.length) return res.status(400).json({ ok:false, error:'bad_args' });
+    await pool.query(`
+      update tariffs t set sort_order = x.ord, updated_at = now()
+      from unnest($1::int[]) with ordinality as x(id, ord)
+      where t.id = x.id
+    `, [ids]);
+    res.json({ ok:true });
+  } catch (e) {
+    console.error('[admin/tariffs/reorder]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// GET /admin/tariffs/:id/history — версии цен (новые сверху)
+app.get('/admin/tariffs/:id/history', requireAdmin, async (req, res) => {
+  try {
+    const rows = (await pool.query(`
+      select version, code, title, price_rub, price_xtr, price_usd, duration_days, visible, changed_by, changed_at
+      from tariff_price_history
+      where tariff_id = $1
+      order by version desc
+    `, [Number(req.params.id)])).rows;
+    res.json({ ok:true, items: rows.map(r => ({ ...r, price_usd: r.price_usd != null ? Number(r.price_usd) : null })) });
+  } catch (e) {
+    console.error('[admin/tariffs/history]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// --- ПРОМОКОДЫ
+// POST /admin/promo  { code, kind:'percent'|'fixed'|'days', value, bonus_days, plans:[..]|null, max_uses, expires_at }
+app.post('/admin/promo', requireAdmin, async (req, res) => {
+  try {
+    const b = req.body || {};
+    const code = normPromoCode(b.code);
+    if (!code) return res.status(400).json({ ok:false, error:'bad_code' });
+    if (!['percent', 'fixed', 'days'].includes(b.kind)) return res.status(400).json({ ok:false, error:'bad_kind' });
+
+    const value = Number(b.value || 0);
+    const bonusDays = Math.max(0, Math.floor(Number(b.bonus_days || 0)));
+    if (b.kind === 'percent' && !(value > 0 && value <= 100)) return res.status(400).json({ ok:false, error:'bad_value' });
+    if (b.kind === 'fixed' && !(value > 0)) return res.status(400).json({ ok:false, error:'bad_value' });
+    if (b.kind === 'days' && !bonusDays) return res.status(400).json({ ok:false, error:'bad_bonus_days' });
+
+    const plans = Array.isArray(b.plans) && b.plans.length ? b.plans.map(canonicalPlanCode) : null;
+    const row = (await pool.query(`
+      insert into promo_codes (code, kind, value, bonus_days, plans, max_uses, expires_at, created_by)
+      values ($1,$2,$3,$4,$5,$6,$7,$8)
+      returning *
+    `, [code, b.kind, b.kind === 'days' ? 0 : value, bonusDays, plans,
+        b.max_uses ? Number(b.max_uses) : null, b.expires_at ? new Date(b.expires_at) : null,
+        req.admin?.id || null])).rows[0];
+    res.json({ ok:true, item: row });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ ok:false, error:'code_exists' });
+    console.error('[admin/promo][POST]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// GET /admin/promo — коды + статистика погашений и выручки по оплаченным заказам
+app.get('/admin/promo', requireAdmin, async (req, res) => {
+  try {
+    const rows = (await pool.query(`
+      select p.*,
+             coalesce(r.redemptions, 0)::int      as redemptions,
+             coalesce(r.discount_rub, 0)::numeric as discount_rub_total,
+             coalesce(r.bonus_days, 0)::int       as bonus_days_total,
+             coalesce(o.revenue_rub, 0)::numeric  as revenue_rub
+      from promo_codes p
+      left join (
+        select code, count(*) as redemptions, sum(discount_rub) as discount_rub, sum(bonus_days) as bonus_days
+        from promo_redemptions group by code
+      ) r on r.code = p.code
+      left join (
+        select o.meta->>'promo' as code, sum(pay.amount_rub) as revenue_rub
+        from orders o join payments pay on pay.order_id = o.id
+        where o.status = 'paid' and o.meta ? 'promo'
+        group by 1
+      ) o on o.code = p.code
+      order by p.created_at desc
+    `)).rows;
+    res.json({ ok:true, items: rows.map(r => ({
+      ...r,
+      value: Number(r.value),
+      discount_rub_total: Number(r.discount_rub_total),
+      revenue_rub: Number(r.revenue_rub)
+    })) });
+  } catch (e) {
+    console.error('[admin/promo][GET]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /admin/promo/:code/deactivate
+app.post('/admin/promo/:code/deactivate', requireAdmin, async (req, res) => {
+  try {
+    const code = normPromoCode(req.params.code);
+    const q = await pool.query(`update promo_codes set active = false where code = $1`, [code]);
+    if (!q.rowCount) return res.status(404).json({ ok:false, error:'not_found' });
+    res.json({ ok:true });
+  } catch (e) {
+    console.error('[admin/promo/deactivate]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// --- НАСТРОЙКИ РЕФЕРАЛКИ (уровни, 2-й уровень, бонус приглашённому)
+app.get('/admin/ref/config', requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok:true, config: await getRefConfig() });
+  } catch (e) {
+    console.error('[admin/ref/config][GET]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /admin/ref/config { tiers:[{min_paid, percent}], l2_percent, invitee_bonus_days }
+app.post('/admin/ref/config', requireAdmin, async (req, res) => {
+  try {
+    const cfg = parseRefConfig(req.body);
+    if (typeof cfg === 'string') return res.status(400).json({ ok:false, error:cfg });
+    await pool.query(`
+      insert into app_settings (key, value, updated_by, updated_at)
+      values ('referral', $1, $2, now())
+      on conflict (key) do update set value = excluded.value, updated_by = excluded.updated_by, updated_at = now()
+    `, [cfg, req.admin?.id || null]);
+    res.json({ ok:true, config: cfg });
+  } catch (e) {
+    console.error('[admin/ref/config][POST]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// --- РЕФЕРАЛЬНЫЕ ВЫВОДЫ (очередь на подтверждение)
+// GET /admin/ref/withdrawals?status=pending
+app.get('/admin/ref/withdrawals', requireAdmin, async (req, res) => {
+  try {
+    const rows = (await pool.query(`
+      select w.*, u.username,
+             (select coalesce(sum(amount_rub), 0) from ref_ledger l where l.ref_id = w.ref_id)::numeric as balance_rub
+      from ref_withdrawals w
+      left join users u on u.id = w.ref_id
+      where ($1::text is null or w.status = $1)
+      order by w.id desc
+      limit 200
+    `, [req.query.status || null])).rows;
+    res.json({ ok:true, items: rows.map(r => ({
+      ...r, amount_rub: Number(r.amount_rub), balance_rub: Number(r.balance_rub)
+    })) });
+  } catch (e) {
+    console.error('[admin/ref/withdrawals]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /admin/ref/withdrawals/:id/approve|reject  { note? }
+// approve — деньги отправлены вручную; reject — резерв возвращается на баланс
+app.post('/admin/ref/withdrawals/:id/:action(approve|reject)', requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const approve = req.params.action === 'approve';
+    const note = req.body?.note ? String(req.body.note).slice(0, 500) : null;
+
+    const w = (await pool.query(`
+      update ref_withdrawals
+         set status = $2, admin_id = $3, admin_note = $4, decided_at = now()
+       where id = $1 and status = 'pending'
+       returning *
+    `, [id, approve ? 'approved' : 'rejected', req.admin?.id || null, note])).rows[0];
+    if (!w) return res.status(409).json({ ok:false, error:'not_pending' });
+
+    if (!approve) {
+      await pool.query(`
+        insert into ref_ledger (ref_id, withdrawal_id, kind, amount_rub, note)
+        values ($1,$2,'withdrawal_reversal',$3,$4)
+      `, [w.ref_id, w.id, w.amount_rub, note]);
+    }
+
+    try {
+      await bot.api.sendMessage(Number(w.ref_id), approve
+        ? `💸 Заявка на вывод ${Number(w.amount_rub)} ₽ одобрена. Средства отправлены по указанным реквизитам.`
+        : `↩️ Заявка на вывод ${Number(w.amount_rub)} ₽ отклонена, сумма возвращена на баланс.${note ? '\n\n' + note : ''}`);
+    } catch (e) { console.error('notify withdrawal', e); }
+
+    res.json({ ok:true, item: { ...w, amount_rub: Number(w.amount_rub) } });
+  } catch (e) {
+    console.error('[admin/ref/withdrawals/decide]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// --- ВЫДАТЬ ПОДПИСКУ ПО ПЛАНУ
+// POST /admin/sub/grant  { userId, plan }  план — код из tariffs ('7d'|'1m'|'3m'|'6m'|'12m', скрытые тоже)
+app.post('/admin/sub/grant', requireAdmin, async (req, res) => {
+  try {
+    const { userId, plan } = req.body || {};
+    if (!userId || !plan) return res.status(400).json({ ok:false, error:'bad_args' });
+    if (!await getPlan(plan)) return res.status(400).json({ ok:false, error:'bad_plan' });
+
+    const until = await grantSubscription(Number(userId), String(plan));
+    // grantSubscription уже сам шлёт notifySubActivated
+    res.json({ ok:true, until });
+  } catch (e) {
+    console.error('[admin/sub/grant]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+
+
+// --- ОТМЕНИТЬ ПОДПИСКУ (делаем неактивной сейчас) + немедленно инвалидируем VLESS
+app.post('/admin/sub/cancel', requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.body || {};
+    if (!userId) return res.status(400).json({ ok:false, error:'bad_args' });
+
+    await pool.query(`update subscriptions set until = now() - interval '1 second' where user_id = $1`, [userId]);
+    await pool.query(`update vless_clients set expires_at = now() - interval '1 second', updated_at = now() where user_id = $1`, [userId]);
+
+    
+        try { await notifySubExpired(Number(userId)); } catch (e) { console.error('notifySubExpired', e); }
+    res.json({ ok:true });
+  } catch (e) {
+    console.error('[admin/sub/cancel]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+
+// --- ЗАБЛОКИРОВАТЬ ПОЛЬЗОВАТЕЛЯ
+// POST /admin/block  { userId, reason, until }  (until — ISO-строка или null)
+app.post('/admin/block', requireAdmin, async (req, res) => {
+  try {
+    const { userId, reason, until } = req.body || {};
+    if (!userId) return res.status(400).json({ ok:false, error:'bad_args' });
+    await pool.query(`
+      insert into blocks (user_id, reason, until)
+      values ($1,$2,$3)
+      on conflict (user_id) do update set reason = excluded.reason, until = excluded.until
+    `, [userId, reason || null, until ? new Date(until) : null]);
+    res.json({ ok:true });
+  } catch (e) {
+    console.error('[admin/block]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// --- РАЗБЛОКИРОВАТЬ ПОЛЬЗОВАТЕЛЯ
+// POST /admin/unblock  { userId }
+app.post('/admin/unblock', requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.body || {};
+    if (!userId) return res.status(400).json({ ok:false, error:'bad_args' });
+    await pool.query(`delete from blocks where user_id = $1`, [userId]);
+    res.json({ ok:true });
+  } catch (e) {
+    console.error('[admin/unblock]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// --- РАССЫЛКА ВСЕМ ПОЛЬЗОВАТЕЛЯМ
+// POST /admin/broadcast  { text }
+app.post('/admin/broadcast', requireAdmin, async (req, res) => {
+  try {
+    const { text } = req.body || {};
+    if (!text || !text.trim()) return res.status(400).json({ ok:false, error:'empty_text' });
+
+    const token = process.env.BOT_TOKEN;
+    const users = (await pool.query(`select id from users order by id`)).rows;
+
+    let ok = 0, fail = 0;
+    for (const [i, u] of users.entries()) {
+      try {
+        const r = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
+          method:'POST',
+          headers:{ 'content-type':'application/json' },
+          body: JSON.stringify({ chat_id: u.id, text, disable_web_page_preview: true })
+        });
+        if (r.ok) ok++; else fail++;
+      } catch { fail++; }
+      if (i % 20 === 19) await new Promise(r => setTimeout(r, 1000)); // ~20/сек
+    }
+
+    res.json({ ok:true, sent: ok, failed: fail, total: users.length });
+  } catch (e) {
+    console.error('[admin/broadcast]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// GET /admin/servers — с агрегатами: выдано/лимит, пер-юзер лимиты из config, активные IP
+app.get('/admin/servers', requireAdmin, async (req, res) => {
+  try {
+    // 1) Берём все сервера
+    const servers = (await pool.query(
+      `select id, name, host, port, proto, country, active, draining, config, node_secret, created_at, profile_id,
+              health, last_heartbeat, last_probe_at, last_probe_ok, last_probe_ms, last_probe_error
+       from servers
+       order by created_at desc`
+    )).rows;
+
+    if (!servers.length) return res.json({ ok:true, items: [] });
+
+    const ids = servers.map(s => s.id);
+
+    // 2) Сколько пользователей назначено на каждый сервер
     const alloc = await pool.query(
       `select server_id, count(*)::int as assigned
        from server_allocations
@@ -1203,6 +3036,7 @@ app.get('/admin/servers', requireAdmin, async (req, res) => {
     // 4) Собираем ответ
     const items = servers.map(s => {
       const cfg = s.config || {};
+      const lim = serverLimits(s);
       return {
         id: s.id,
         name: s.name,
@@ -1211,13 +3045,28 @@ app.get('/admin/servers', requireAdmin, async (req, res) => {
         proto: 'vless',
         country: s.country,
         active: s.active,
+        draining: !!s.draining,
+        profile_id:           s.profile_id,
+        profile:              cfg.profile || null,
+        bandwidth_mbps:       lim.bandwidth_mbps,
         // из config:
-        slot_limit:           Number(cfg.slot_limit || 0) || null,
-        per_user_cap_mbps:    Number(cfg.per_user_cap_mbps || 0) || null,
-        per_user_ceil_mbps:   Number(cfg.per_user_ceil_mbps || 0) || null,
+        slot_limit:           lim.slot_limit,
+        per_user_cap_mbps:    lim.per_user_cap_mbps,
+        per_user_ceil_mbps:   lim.per_user_ceil_mbps,
+        reality_pbk:          cfg.reality_pbk || null,
+        reality_sid:          cfg.reality_sid || null,
+        reality_sni:          cfg.reality_sni || null,
+        flow:                 cfg.flow || null,
         // агрегаты:
         assigned_count:       assignedByServer.get(s.id) || 0,
         live_ips:             liveByServer.get(s.id) || [],
+        // здоровье (см. runHealthCheckOnce)
+        health:               s.health || 'unknown',
+        last_heartbeat:       s.last_heartbeat,
+        last_probe:           s.last_probe_at
+          ? { at: s.last_probe_at, ok: s.last_probe_ok, ms: s.last_probe_ms, error: s.last_probe_error }
+          : null,
+        node_secret:          s.node_secret,   // прописать на VPS для /api/vpn/clients
         created_at: s.created_at
       };
     });
@@ -1231,29 +3080,34 @@ app.get('/admin/servers', requireAdmin, async (req, res) => {
 
 
 
-// POST /admin/servers  { name, host, port, country, bandwidth_mbps }
+// POST /admin/servers  { name, host, port, country, profile, reality_pbk, reality_sid, reality_sni, flow }
+// profile — id или code из server_profiles (по умолчанию SERVER_PROFILE_DEFAULT)
 app.post('/admin/servers', requireAdmin, async (req, res) => {
   try {
-    const { name, host, port, country, bandwidth_mbps } = req.body || {};
+    const { name, host, port, country, profile,
+            reality_pbk, reality_sid, reality_sni, flow } = req.body || {};
     if (!name || !host) return res.status(400).json({ ok:false, error:'bad_args' });
 
-    const bw = Number(bandwidth_mbps) || 200;       // по умолчанию 200 Мбит/с
-    const is1g = bw >= 800;                          // считаем 1 Гбит/с от 800+
+    const prof = await getServerProfile(profile || SERVER_PROFILE_DEFAULT);
+    if (!prof) return res.status(400).json({ ok:false, error:'bad_profile' });
     const config = {
       proto: 'vless',
-      bandwidth_mbps: is1g ? 1000 : 200,
-      slot_limit:     is1g ? 240  : 50,
-      per_user_cap_mbps:  is1g ? 12 : 6,
-      per_user_ceil_mbps: is1g ? 25 : 12
+      ...profileLimits(prof),
+      // REALITY этого сервера (пустые → берутся из ENV)
+      port:        Number(port) || 443,
+      reality_pbk: reality_pbk || null,
+      reality_sid: reality_sid || null,
+      reality_sni: reality_sni || null,
+      flow:        flow || 'xtls-rprx-vision'
     };
 
     const q = `
-      insert into servers (name, host, port, proto, country, active, notes, config)
-      values ($1,$2,$3,$4,$5,true,null,$6)
+      insert into servers (name, host, port, proto, country, active, notes, config, node_secret, profile_id)
+      values ($1,$2,$3,$4,$5,true,null,$6,$7,$8)
       returning *
     `;
     const row = (await pool.query(q, [
-      name, host, port||443, 'vless', country||null, config
+      name, host, port||443, 'vless', country||null, config, rnd(24), prof.id
     ])).rows[0];
 
     res.json({ ok:true, item: row });
@@ -1264,10 +3118,110 @@ app.post('/admin/servers', requireAdmin, async (req, res) => {
 });
 
 
-// DELETE /admin/servers/:id
+// PATCH /admin/servers/:id — колонки servers и поля config; draining — режим вывода из эксплуатации;
+// profile — id или code профиля
+const SERVER_COLUMNS = ['name', 'host', 'country', 'active', 'draining'];
+const SERVER_CONFIG_NUM = ['bandwidth_mbps', 'slot_limit', 'per_user_cap_mbps', 'per_user_ceil_mbps'];
+const SERVER_CONFIG_STR = ['reality_pbk', 'reality_sid', 'reality_sni', 'flow', 'fp'];
+
+app.patch('/admin/servers/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const b = req.body || {};
+    const cur = (await pool.query(`select * from servers where id = $1`, [id])).rows[0];
+    if (!cur) return res.status(404).json({ ok:false, error:'not_found' });
+
+    const sets = {}, config = { ...(cur.config || {}), ...(b.config && typeof b.config === 'object' ? b.config : {}) };
+    for (const k of SERVER_COLUMNS) {
+      if (b[k] === undefined) continue;
+      if (k === 'active' || k === 'draining') sets[k] = !!b[k];
+      else if (k === 'country') sets[k] = b[k] || null;
+      else if (!String(b[k] || '').trim()) return res.status(400).json({ ok:false, error:`bad_${k}` });
+      else sets[k] = String(b[k]).trim();
+    }
+    if (b.port !== undefined && b.port !== '' && b.port !== null) {
+      const port = Number(b.port);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) return res.status(400).json({ ok:false, error:'bad_port' });
+      sets.port = port;
+      config.port = port; // serverVlessParams читает порт из config
+    }
+    for (const k of SERVER_CONFIG_NUM) {
+      if (b[k] === undefined) continue;
+      const v = b[k] === null || b[k] === '' ? null : Number(b[k]);
+      if (v !== null && !(v >= 0)) return res.status(400).json({ ok:false, error:`bad_${k}` });
+      config[k] = v;
+    }
+    for (const k of SERVER_CONFIG_STR) {
+      if (b[k] !== undefined) config[k] = b[k] || null;
+    }
+    // смена профиля перезаписывает лимиты; поля выше — ручная правка до следующей смены профиля
+    if (b.profile !== undefined && b.profile !== '' && b.profile !== null) {
+      const prof = await getServerProfile(b.profile);
+      if (!prof) return res.status(400).json({ ok:false, error:'bad_profile' });
+      Object.assign(config, profileLimits(prof));
+      sets.profile_id = prof.id;
+    }
+
+    const cols = Object.keys(sets);
+    const row = (await pool.query(`
+      update servers
+         set ${cols.map((c, i) => `${c} = $${i + 3}`).concat('config = $2').join(', ')}
+       where id = $1
+       returning *
+    `, [id, config, ...cols.map(c => sets[c])])).rows[0];
+
+    if (sets.draining !== undefined && sets.draining !== !!cur.draining) {
+      console.log('[servers] drain', { id, draining: sets.draining, by: req.admin?.id });
+    }
+    res.json({ ok:true, item: row });
+  } catch (e) {
+    console.error('[admin/servers][PATCH]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /admin/servers/:id/reassign { to?, limit? } — перенос пользователей сразу
+// to — id целевого сервера (иначе выбирается автоматически), limit — сколько (иначе все)
+app.post('/admin/servers/:id/reassign', requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const given = (v) => v != null && v !== '';
+    const to = given(req.body?.to) ? Number(req.body.to) : null;
+    let limit = given(req.body?.limit) ? Number(req.body.limit) : null;
+    if (to !== null && !(Number.isInteger(to) && to > 0)) return res.status(400).json({ ok:false, error:'bad_target' });
+    if (limit !== null && !(Number.isInteger(limit) && limit > 0)) return res.status(400).json({ ok:false, error:'bad_limit' });
+    if (to === id) return res.status(400).json({ ok:false, error:'same_server' });
+
+    if (to) {
+      const t = (await pool.query(`select * from servers where id = $1`, [to])).rows[0];
+      if (!t || !t.active || t.draining || t.health === 'unhealthy') {
+        return res.status(400).json({ ok:false, error:'target_unavailable' });
+      }
+      // не больше свободных слотов цели
+      const slots = serverLimits(t).slot_limit;
+      if (slots) {
+        const used = (await pool.query(`select count(*)::int as n from server_allocations where server_id = $1`, [to])).rows[0].n;
+        const free = Math.max(0, slots - used);
+        if (!free) return res.status(409).json({ ok:false, error:'target_full' });
+        limit = limit ? Math.min(limit, free) : free;
+      }
+    }
+
+    const r = await moveServerUsers(id, { to, limit, reason: 'maintenance' });
+    const left = (await pool.query(`select count(*)::int as n from server_allocations where server_id = $1`, [id])).rows[0].n;
+    res.json({ ok:true, ...r, left });
+  } catch (e) {
+    console.error('[admin/servers/reassign]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// DELETE /admin/servers/:id — только пустой сервер (сначала drain или reassign)
 app.delete('/admin/servers/:id', requireAdmin, async (req, res) => {
   try {
     const id = Number(req.params.id);
+    const n = (await pool.query(`select count(*)::int as n from server_allocations where server_id = $1`, [id])).rows[0].n;
+    if (n) return res.status(409).json({ ok:false, error:'server_has_users', assigned: n });
     await pool.query(`delete from servers where id = $1`, [id]);
     res.json({ ok:true });
   } catch (e) {
@@ -1330,292 +3284,1311 @@ app.get('/api/_debug_hash', (req, res) => {
 
 
 
-// Кто я? Проверка, что initData валиден и читается
-app.post('/api/whoami', (req, res) => {
-  try {
-    const u = getUserFromInitData(req.body?.initData || '');
-    res.json({ ok: true, user: u });
+// Кто я? Проверка, что initData валиден и читается
+app.post('/api/whoami', (req, res) => {
+  try {
+    const u = getUserFromInitData(req.body?.initData || '');
+    res.json({ ok: true, user: u });
+  } catch (e) {
+    console.error('[whoami]', e?.message || e);
+    res.status(401).json({ ok: false, error: 'initData verification failed' });
+  }
+});
+
+
+// ====== Рефералка (таблица referrals) + Telegram Stars (инвойсы) ======
+
+// Бонус новому приглашённому: только тем, у кого ещё не было подписки
+async function grantInviteeBonus(userId) {
+  const { invitee_bonus_days: days } = await getRefConfig();
+  if (!days) return;
+  const had = await pool.query(`select 1 from subscriptions where user_id = $1`, [userId]);
+  if (had.rowCount) return;
+  await grantSubscription(userId, null, { extraDays: days });
+}
+
+// --- поймать стартовый параметр и привязать реферала
+// POST: привязка начисляет бонусные дни — GET вызвали бы префетчеры и превью ссылок.
+// Повтор безопасен: referrals по child_id вставляется один раз, бонус — только при новой связи
+app.post('/api/ref/track', requireNotBlocked, async (req, res) => {
+  try {
+    // берем initData через хелпер (query/body/заголовок x-init-data)
+    const initDataRaw = getInitDataFromReq(req);
+
+    // верифицируем подпись и получаем пользователя
+    const user = getUserFromInitData(initDataRaw);
+    await dbUpsertUser(user);
+
+    // достаем start_param из ИСХОДНОЙ строки initData
+    const params = new URLSearchParams(initDataRaw);
+    // ref_<id> или ref_<id>_<campaign> (кампания — метка канала партнёра)
+    const sp = params.get('start_param') || '';
+    const m  = /^ref_(\d+)(?:_([A-Za-z0-9_-]{1,32}))?$/.exec(sp);
+    if (m) {
+      const linked = await dbLinkReferral(user.id, Number(m[1]), m[2] || null);
+      if (linked) await grantInviteeBonus(user.id);
+    }
+
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[ref/track]', e);
+    res.status(401).json({ ok:false, error:'initData verification failed' });
+  }
+});
+
+
+
+app.post('/api/ref/stats', requireNotBlocked, async (req, res) => {
+  try {
+    const user = getUserFromInitData(getInitDataFromReq(req));
+    const stats = await dbGetRefStats(user.id);
+    // { campaign } в теле → ссылка с меткой канала
+    const campaign = /^[A-Za-z0-9_-]{1,32}$/.test(req.body?.campaign || '') ? req.body.campaign : null;
+
+    res.json({
+      total: stats.total,
+      amountRub: stats.amountRub,
+      incomeRub: stats.incomeRub,
+      balanceRub: stats.balanceRub,
+      redeemedRub: stats.redeemedRub,
+      withdrawnRub: stats.withdrawnRub,
+      pendingWithdrawalRub: stats.pendingWithdrawalRub,
+      minWithdrawRub: REF_MIN_WITHDRAW_RUB,
+      withdrawals: stats.withdrawals,
+      incomeL2Rub: stats.incomeL2Rub,
+      paidInvitees: stats.paidInvitees,
+      percent: stats.percent,
+      nextTier: stats.nextTier,
+      campaigns: stats.campaigns,
+      items: stats.items,
+      link: `https://t.me/${process.env.BOT_USERNAME || 'tothemoonvpnbot'}?start=ref_${user.id}${campaign ? '_' + campaign : ''}`
+    });
+  } catch (e) {
+    console.error('[ref/stats]', e);
+    res.status(401).json({ ok:false, error:'initData verification failed' });
+  }
+});
+
+// POST /api/ref/redeem { plan } — оплатить тариф с реферального баланса (по цене в ₽)
+app.post('/api/ref/redeem', requireNotBlocked, async (req, res) => {
+  try {
+    const t = await getPlan(req.body?.plan, { visibleOnly: true });
+    const price = planPrice(t, 'RUB');
+    if (!price) return res.status(400).json({ ok:false, error:'bad_plan' });
+
+    const r = await refDebit(req.user.id, price, 'redeem', { note: `plan ${t.code}` });
+    if (!r.ok) return res.status(400).json({ ok:false, error:r.error });
+
+    let until;
+    try {
+      until = await grantSubscription(req.user.id, t.code);
+    } catch (e) {
+      // подписка не выдана — возвращаем списанное на баланс (та же kind, redeemed обнулится)
+      await pool.query(`
+        insert into ref_ledger (ref_id, kind, amount_rub, note) values ($1,'redeem',$2,$3)
+      `, [req.user.id, price, `reversal of ${r.entry.id}`]);
+      throw e;
+    }
+    res.json({ ok:true, until, balanceRub: await refBalance(req.user.id) });
+  } catch (e) {
+    console.error('[ref/redeem]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /api/ref/withdraw { amountRub, method, details } — заявка на вывод (сумма сразу резервируется)
+app.post('/api/ref/withdraw', requireNotBlocked, async (req, res) => {
+  try {
+    const amount = Math.round(Number(req.body?.amountRub || 0) * 100) / 100;
+    const method = String(req.body?.method || '').trim().slice(0, 32);
+    const details = String(req.body?.details || '').trim().slice(0, 500);
+    if (!method || !details) return res.status(400).json({ ok:false, error:'bad_args' });
+    if (!(amount >= REF_MIN_WITHDRAW_RUB)) return res.status(400).json({ ok:false, error:'below_minimum', minRub: REF_MIN_WITHDRAW_RUB });
+
+    const r = await refDebit(req.user.id, amount, 'withdrawal', { withdrawal: { method, details } });
+    if (!r.ok) return res.status(400).json({ ok:false, error:r.error });
+    res.json({ ok:true, id: r.withdrawalId, balanceRub: await refBalance(req.user.id) });
+  } catch (e) {
+    console.error('[ref/withdraw]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+
+
+// --- создать инвойс в Stars под выбранный план
+// Параметры Stars-инвойса (createInvoiceLink / sendInvoice) для тарифа t
+function starsInvoice(userId, t, { quote = null, autoRenew = false } = {}) {
+  const amount = quote ? quote.prices.XTR : planPrice(t, 'XTR');
+  // реферер в payload не кладём: он берётся из referrals в момент оплаты (settleOrder)
+  // ts — время выставления: pre_checkout отклоняет счета старше STARS_INVOICE_TTL_MIN
+  const payload = { t:'sub', plan:t.code, uid:userId, ts: Math.floor(Date.now() / 1000) };
+  if (quote) payload.promo = quote.promo.code;
+  if (autoRenew) payload.ar = 1;
+  const body = {
+    title: `VPN • ${t.title}`,
+    description: 'Подписка на доступ к VPN-серверу',
+    payload: JSON.stringify(payload),
+    provider_token: '',                 // обязательно пустая строка для Stars
+    currency: 'XTR',                    // платежи только в Stars
+    prices: [{ label: `VPN ${t.title}`, amount }] // amount = кол-во звёзд
+  };
+  if (autoRenew) body.subscription_period = STARS_SUB_PERIOD;
+  return body;
+}
+
+app.post('/api/pay/invoice', requireNotBlocked, async (req, res) => {
+  try {
+    const user = getUserFromInitData(getInitDataFromReq(req));
+    const t = await getPlan(req.body?.plan, { visibleOnly: true });
+    if (!planPrice(t, 'XTR')) return res.status(400).json({ error:'invalid plan' });
+
+    // autoRenew — инвойс-подписка: Telegram сам списывает звёзды каждые 30 дней
+    const autoRenew = !!req.body?.autoRenew;
+    if (autoRenew && !isAutoRenewPlan(t)) return res.status(400).json({ error:'autorenew_not_available' });
+    if (autoRenew) {
+      const cur = await getStarsSubscription(user.id);
+      if (cur?.active) return res.status(409).json({ error:'autorenew_already_active' });
+    }
+
+    const { quote, error } = await checkoutPromo(req, user.id, t);
+    if (error) return res.status(400).json({ error });
+    // скидка зафиксировалась бы во всех будущих списаниях
+    if (quote && autoRenew) return res.status(400).json({ error:'promo_not_for_autorenew' });
+    if (quote && !quote.prices.XTR) {
+      const g = await grantFreeByPromo(user.id, t, quote);
+      if (!g.ok) return res.status(400).json({ error:g.error });
+      return res.json({ free:true, until: g.until });
+    }
+    const amount = quote ? quote.prices.XTR : planPrice(t, 'XTR');
+
+    const body = starsInvoice(user.id, t, { quote, autoRenew });
+
+    const url = `https://api.telegram.org/bot${process.env.BOT_TOKEN}/createInvoiceLink`;
+    const r   = await fetch(url, { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify(body) });
+    const j   = await r.json();
+    if (!j.ok) return res.status(500).json({ error:'tg_error', details:j });
+    res.json({ invoiceLink: j.result, amount, autoRenew });
+  } catch (e) {
+    res.status(500).json({ error:'server_error', message: e?.message || String(e) });
+  }
+});
+
+// Отмена автопродления из мини-аппа: текущий оплаченный период остаётся
+app.post('/api/pay/autorenew/cancel', requireNotBlocked, async (req, res) => {
+  try {
+    const user = getUserFromInitData(getInitDataFromReq(req));
+    const q = await pool.query(
+      `select charge_id from stars_subscriptions where user_id = $1 and status = 'active'`,
+      [user.id]
+    );
+    if (!q.rowCount) return res.status(404).json({ ok:false, error:'autorenew_not_active' });
+
+    await bot.api.editUserStarSubscription(user.id, q.rows[0].charge_id, true);
+    await pool.query(`
+      update stars_subscriptions set status = 'canceled', canceled_at = now(), updated_at = now()
+      where user_id = $1
+    `, [user.id]);
+    res.json({ ok:true, autoRenew: await getStarsSubscription(user.id) });
+  } catch (e) {
+    console.error('[pay/autorenew/cancel]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+// === CRYPTO (NOWPayments) =============================
+const NOWPAY_API = 'https://api.nowpayments.io/v1';
+const NOWPAY_KEY = process.env.NOWPAY_API_KEY || '';
+const NOWPAY_IPN_SECRET = process.env.NOWPAY_IPN_SECRET || '';
+// недоплата в пределах допуска (курс/комиссия сети) всё равно активирует подписку
+const NOWPAY_PARTIAL_OK = Number(process.env.NOWPAY_PARTIAL_OK || '0.97');
+
+
+app.post('/api/pay/crypto/invoice', requireNotBlocked, async (req, res) => {
+  try {
+    const user = getUserFromInitData(getInitDataFromReq(req));
+    const t = await getPlan(req.body?.plan, { visibleOnly: true });
+    if (!planPrice(t, 'USD')) return res.status(400).json({ ok:false, error:'invalid_plan' });
+
+    const { quote, error } = await checkoutPromo(req, user.id, t);
+    if (error) return res.status(400).json({ ok:false, error });
+    if (quote && !quote.prices.USD) {
+      const g = await grantFreeByPromo(user.id, t, quote);
+      if (!g.ok) return res.status(400).json({ ok:false, error:g.error });
+      return res.json({ ok:true, free:true, until: g.until });
+    }
+
+    const plan = t.code;
+    const priceUsd = quote ? quote.prices.USD : planPrice(t, 'USD');
+    const priceRub = quote ? quote.prices.RUB : planPrice(t, 'RUB');
+    const promoMeta = quote ? { promo: quote.promo.code, discount_rub: quote.discountRub } : {};
+    const orderId = `sub|${plan}|${user.id}|${Date.now()}`;
+    const body = {
+      price_amount: priceUsd,
+      price_currency: 'usd',
+      order_id: orderId,
+      order_description: `VPN ${t.title} (tg ${user.id})`,
+      ipn_callback_url: process.env.NOWPAY_IPN_URL || `${req.protocol}://${req.get('host')}/api/pay/crypto/ipn`,
+      success_url: `${SITE_URL}/?paid=1`,
+      cancel_url: `${SITE_URL}/?canceled=1`,
+    };
+
+    const r = await fetch(`${NOWPAY_API}/invoice`, {
+      method:'POST',
+      headers:{ 'content-type':'application/json', 'x-api-key': NOWPAY_KEY },
+      body: JSON.stringify(body)
+    });
+    const j = await r.json();
+    if (!r.ok || !j?.invoice_url) return res.status(500).json({ error:'nowpay_error', details:j });
+
+    const invoiceId = j.id || j.invoice_id || null;
+    if (invoiceId) {
+      await pool.query(`
+        insert into crypto_orders (invoice_id, order_id, user_id, plan, price_amount, price_rub, raw, tariff_version)
+        values ($1,$2,$3,$4,$5,$6,$7,$8)
+        on conflict (invoice_id) do nothing
+      `, [String(invoiceId), orderId, user.id, plan, priceUsd, priceRub, j, t.version]);
+      await ledgerUpsertOrder({
+        provider: 'nowpayments', txId: invoiceId, userId: user.id, plan,
+        amount: priceUsd, currency: 'USD', status: 'pending', meta: { rub: priceRub, ...promoMeta },
+        tariffVersion: t.version
+      });
+    }
+
+    res.json({ url: j.invoice_url, id: invoiceId });
+  } catch (e) {
+    console.error('[crypto/invoice]', e);
+    res.status(500).json({ error:'server_error', message: e?.message || String(e) });
+  }
+});
+
+app.get('/api/pay/crypto/status', requireNotBlocked, async (req, res) => {
+  try {
+    const invoiceId = req.query.id;
+    if (!invoiceId) return res.status(400).json({ error: 'no_invoice' });
+
+    const me = getUserFromInitData(getInitDataFromReq(req));
+    const r = await fetch(`${NOWPAY_API}/invoice/${invoiceId}`, {
+      headers: { 'x-api-key': NOWPAY_KEY }
+    });
+    const j = await r.json();
+    if (!r.ok) return res.status(500).json({ error:'nowpay_error', details:j });
+
+    const st = String(j.status || '').toLowerCase();
+    if (st === 'finished' || st === 'confirmed' || st === 'paid') {
+      const [t, plan, uid] = String(j.order_id || '').split('|');
+      const uidNum = Number(uid);
+      if (t === 'sub' && plan && uidNum && uidNum === me.id) {
+        // повторный опрос того же инвойса (или уже пришедший IPN) не продлит подписку второй раз
+        const id = String(j.id || invoiceId);
+        const sr = await settleOrder({
+          provider: 'nowpayments', txId: id,
+          userId: me.id, plan, amount: Number(j.price_amount) || 0, currency: 'USD'
+        });
+        if (!orderSettled(sr)) {
+          return res.json({ ok:true, activated:false, status: j.status, error: `order_${sr.order?.status}` });
+        }
+        await pool.query(
+          `update crypto_orders set status = $2, updated_at = now(), paid_at = coalesce(paid_at, now())
+           where invoice_id = $1`,
+          [id, st]
+        );
+        return res.json({ ok:true, activated:true });
+      }
+    }
+    res.json({ ok:true, activated:false, status: j.status });
+  } catch (e) {
+    console.error('[crypto/status]', e);
+    res.status(500).json({ error:'server_error', message: e?.message || String(e) });
+  }
+});
+
+// IPN NOWPayments: x-nowpayments-sig = HMAC-SHA512(IPN secret, JSON тела с рекурсивно отсортированными ключами)
+function sortKeysDeep(v) {
+  if (Array.isArray(v)) return v.map(sortKeysDeep);
+  if (v && typeof v === 'object') {
+    return Object.keys(v).sort().reduce((o, k) => { o[k] = sortKeysDeep(v[k]); return o; }, {});
+  }
+  return v;
+}
+
+function checkNowpaySig(body, sig) {
+  if (!NOWPAY_IPN_SECRET || !sig) return false;
+  const expected = crypto.createHmac('sha512', NOWPAY_IPN_SECRET)
+    .update(JSON.stringify(sortKeysDeep(body)))
+    .digest('hex');
+  const a = Buffer.from(String(sig)), b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// статусы: waiting | confirming | confirmed | sending | partially_paid | finished | failed | refunded | expired
+app.post('/api/pay/crypto/ipn', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!checkNowpaySig(body, req.get('x-nowpayments-sig'))) {
+      console.warn('[nowpay ipn] bad sig', { invoice_id: body.invoice_id, payment_id: body.payment_id });
+      return res.status(400).send('bad sign');
+    }
+
+    const invoiceId = String(body.invoice_id || '');
+    const q = await pool.query(
+      `select user_id, plan, price_amount, price_rub from crypto_orders where invoice_id = $1`,
+      [invoiceId]
+    );
+    if (!q.rowCount) return res.status(404).send('not found');
+    const o = q.rows[0];
+
+    const st = String(body.payment_status || '').toLowerCase();
+    const payAmount = Number(body.pay_amount || 0);
+    const paid = Number(body.actually_paid || 0);
+    await pool.query(`
+      update crypto_orders
+         set status = $2, payment_id = $3, pay_currency = $4, pay_amount = $5,
+             actually_paid = $6, raw = $7, updated_at = now()
+       where invoice_id = $1
+    `, [invoiceId, st, body.payment_id != null ? String(body.payment_id) : null,
+        body.pay_currency || null, payAmount || null, paid || null, body]);
+
+    // finished с переплатой тоже сюда — подписка выдаётся один раз, излишек остаётся в raw
+    let ok = st === 'finished' || st === 'confirmed' || st === 'sending';
+    if (st === 'partially_paid' && payAmount > 0 && paid / payAmount >= NOWPAY_PARTIAL_OK) ok = true;
+    if (ok && payAmount > 0 && paid > payAmount) {
+      console.log('[nowpay ipn] overpaid', { invoiceId, payAmount, paid, currency: body.pay_currency });
+    }
+
+    if (ok) {
+      const r = await settleOrder({
+        provider: 'nowpayments', txId: invoiceId,
+        userId: Number(o.user_id), plan: o.plan,
+        amount: Number(o.price_amount), currency: 'USD', meta: { rub: o.price_rub }
+      });
+      if (orderSettled(r)) {
+        await pool.query(
+          `update crypto_orders set paid_at = coalesce(paid_at, now()) where invoice_id = $1`,
+          [invoiceId]
+        );
+      } else {
+        console.error('[nowpay ipn] order not settled', { invoiceId, status: r.order?.status });
+      }
+    } else if (st === 'failed' || st === 'expired') {
+      await ledgerFail('nowpayments', invoiceId);
+    } else if (st === 'refunded') {
+      const ord = (await pool.query(
+        `select id, user_id, plan, granted_days from orders where provider = 'nowpayments' and provider_tx_id = $1`,
+        [invoiceId]
+      )).rows[0];
+      if (ord) {
+        // как у возврата Stars: заказ, выданные дни и реферальные начисления — одной транзакцией
+        const days = ord.granted_days ?? ((await getPlan(ord.plan))?.duration_days || 0);
+        const done = await withTransaction(async (client) => {
+          if (!await ledgerTransition(ord.id, 'refunded', client)) return false;
+          await client.query(`update orders set refunded_at = now() where id = $1`, [ord.id]);
+          await revokeSubscriptionDays(Number(ord.user_id), days, client);
+          await refClawback(ord.id, client);
+          return true;
+        });
+        if (done) console.log('[ledger] refunded', { id: ord.id, provider: 'nowpayments', userId: Number(ord.user_id), days });
+      }
+    } else if (st === 'partially_paid') {
+      console.warn('[nowpay ipn] partial payment below tolerance', { invoiceId, payAmount, paid });
+    }
+
+    res.status(200).send('ok');
+  } catch (e) {
+    console.error('[nowpay ipn] error', e);
+    res.status(500).send('server error');
+  }
+});
+
+
+// ===== Telegram-апдейты: BOT_MODE=webhook | polling (по умолчанию polling)
+// webhook — grammy монтируется на /api/tg/webhook, Telegram проверяется по secret_token,
+// апдейты принимает любой инстанс API (можно масштабировать горизонтально).
+// polling — один инстанс забирает апдейты через getUpdates (удобно локально).
+const BOT_MODE = process.env.BOT_MODE === 'webhook' ? 'webhook' : 'polling';
+const TG_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || '';
+const TG_WEBHOOK_URL = process.env.TELEGRAM_WEBHOOK_URL
+  || (process.env.PUBLIC_URL ? `${process.env.PUBLIC_URL.replace(/\/+$/, '')}/api/tg/webhook` : '');
+
+// invoice_payload Stars → { plan, userId, promo, autoRenew, ts } | null
+// Форматы: JSON из /api/pay/invoice ({t:'sub', plan, uid, promo?, ar?, ts}) и строка "plan=1m;userId=123;promo=X;ts=..."
+function parseStarsPayload(raw) {
+  const str = String(raw || '');
+  try {
+    const j = JSON.parse(str);
+    if (j?.t !== 'sub' || !j.plan || !j.uid) return null;
+    return { plan: String(j.plan), userId: Number(j.uid), promo: j.promo || null, autoRenew: !!j.ar, ts: Number(j.ts) || null };
+  } catch {}
+  const p = Object.fromEntries(str.split(';').map(x => x.split('=').map(v => (v || '').trim())));
+  if (!p.plan || !p.userId) return null;
+  return { plan: p.plan, userId: Number(p.userId), promo: p.promo || null, autoRenew: false, ts: Number(p.ts) || null };
+}
+
+// ---- pre_checkout: последний шанс отказаться до списания звёзд
+const STARS_INVOICE_TTL_MIN = Number(process.env.STARS_INVOICE_TTL_MIN || 60);
+
+const PRECHECKOUT_ERRORS = {
+  ru: {
+    bad_invoice: 'Счёт повреждён. Откройте мини-приложение и выставьте новый.',
+    expired:     'Счёт устарел. Откройте мини-приложение и выставьте новый.',
+    bad_plan:    'Этот тариф больше недоступен. Выберите тариф в мини-приложении.',
+    price:       'Цена изменилась. Откройте мини-приложение и выставьте новый счёт.',
+    promo:       'Промокод больше не действует. Выставьте счёт без него.',
+    blocked:     'Оплата недоступна: аккаунт заблокирован. Напишите в поддержку.',
+    internal:    'Не удалось проверить платёж. Попробуйте ещё раз через минуту.',
+  },
+  en: {
+    bad_invoice: 'This invoice is invalid. Please open the mini app and create a new one.',
+    expired:     'This invoice has expired. Please open the mini app and create a new one.',
+    bad_plan:    'This plan is no longer available. Please pick a plan in the mini app.',
+    price:       'The price has changed. Please open the mini app and create a new invoice.',
+    promo:       'This promo code is no longer valid. Please create an invoice without it.',
+    blocked:     'Payment is unavailable: your account is blocked. Please contact support.',
+    internal:    'We could not verify the payment. Please try again in a minute.',
+  },
+};
+const precheckoutError = (lang, code) =>
+  (PRECHECKOUT_ERRORS[String(lang || '').startsWith('ru') ? 'ru' : 'en'])[code];
+
+// Проверка счёта перед списанием → null (всё в порядке) или код ошибки
+async function validateStarsCheckout(q) {
+  const p = parseStarsPayload(q.invoice_payload);
+  if (!p || q.currency !== 'XTR') return 'bad_invoice';
+  if (!p.ts || Date.now() / 1000 - p.ts > STARS_INVOICE_TTL_MIN * 60) return 'expired';
+
+  const t = await getPlan(p.plan, { visibleOnly: true });
+  if (!planPrice(t, 'XTR')) return 'bad_plan';
+  if (await isUserBlocked(p.userId) || await isUserBlocked(q.from.id)) return 'blocked';
+
+  let expected = planPrice(t, 'XTR');
+  if (p.promo) {
+    const quote = await quotePromo(p.promo, p.userId, t);
+    if (!quote.ok) return 'promo';
+    expected = quote.prices.XTR;
+  }
+  if (Number(q.total_amount) !== expected) return 'price';
+  return null;
+}
+
+// Свой счёт прогоняем через тот же валидатор до отправки: счёт, который pre_checkout
+// отклонит, пользователю не показываем → null | код ошибки
+function precheckStarsInvoice(userId, inv) {
+  return validateStarsCheckout({
+    invoice_payload: inv.payload, currency: inv.currency,
+    total_amount: inv.prices[0].amount, from: { id: userId }
+  });
+}
+
+bot.on('pre_checkout_query', async (ctx) => {
+  const q = ctx.preCheckoutQuery;
+  let code;
+  try {
+    code = await validateStarsCheckout(q);
+  } catch (e) {
+    console.error('[pre_checkout_query]', e);
+    code = 'internal';
+  }
+  if (code) console.warn('[pre_checkout_query] declined', code, q.from.id, q.invoice_payload);
+  try {
+    if (code) await ctx.answerPreCheckoutQuery(false, { error_message: precheckoutError(q.from.language_code, code) });
+    else await ctx.answerPreCheckoutQuery(true);
+  } catch (e) {
+    console.error('[pre_checkout_query] answer', e?.description || e?.message || e);
+  }
+});
+
+// Успешная оплата Stars — единственный обработчик для обоих режимов
+bot.on('message:successful_payment', async (ctx) => {
+  const sp = ctx.message.successful_payment;
+  const p = parseStarsPayload(sp.invoice_payload);
+  if (!p) {
+    console.error('[successful_payment] bad payload', sp.invoice_payload, sp.telegram_payment_charge_id);
+    return;
+  }
+  const t = await getPlan(p.plan);
+  if (!t) {
+    console.error('[successful_payment] unknown plan', p.plan, sp.telegram_payment_charge_id);
+    return;
+  }
+  let r;
+  try {
+    r = await settleStarsPayment(sp, { userId: p.userId, plan: t.code, promo: p.promo, tariffVersion: t.version });
+  } catch (e) {
+    // звёзды списаны, заказ остался 'pending' — его добьёт retryPendingStarsOnce; предупреждаем всех
+    console.error('[successful_payment] settle', sp.telegram_payment_charge_id, e);
+    await notifyStarsSettleFailed(p.userId, sp.telegram_payment_charge_id, e);
+    return;
+  }
+  if (!r.granted) return;
+  try {
+    await ctx.reply(sp.is_recurring && !sp.is_first_recurring
+      ? '🔄 Автопродление: подписка продлена ещё на 30 дней.'
+      : '✅ Платёж получен! Подписка активирована. Откройте мини-приложение и подключитесь к VPN.');
+  } catch (e) {
+    console.error('[successful_payment] reply', e?.description || e);
+  }
+});
+
+async function notifyStarsSettleFailed(userId, chargeId, err) {
+  try {
+    await bot.api.sendMessage(userId,
+      '⏳ Платёж получен, но подписку не удалось активировать сразу. Мы применим его автоматически в ближайшие минуты — повторно платить не нужно.');
+  } catch (e) {
+    console.error('[successful_payment] notify user', e?.description || e);
+  }
+  await notifyAdmins(
+    `⚠️ Stars-платёж не применён\nuser: ${userId}\ncharge: ${chargeId}\n${err?.message || err}\n\nЗаказ в статусе pending, повтор — автоматически.`);
+}
+
+// Stars-заказы в 'pending' — это оплаты, которые settle не смог применить (см. выше):
+// Telegram повторно их не пришлёт, поэтому повторяем выдачу из ledger
+const STARS_RETRY_INTERVAL_SEC = 120;
+async function retryPendingStarsOnce() {
+  const q = await pool.query(`
+    select * from orders
+    where provider = 'stars' and status = 'pending' and updated_at < now() - interval '1 minute'
+    order by id limit 20
+  `);
+  for (const o of q.rows) {
+    try {
+      const r = await settleOrder({
+        provider: 'stars', txId: o.provider_tx_id, userId: Number(o.user_id), plan: o.plan,
+        amount: Number(o.amount), currency: o.currency
+      });
+      await recordStarsSubscriptionFromOrder(r.order);
+      if (r.granted) {
+        console.log('[stars retry] settled', { id: o.id, userId: Number(o.user_id) });
+        try {
+          await bot.api.sendMessage(Number(o.user_id), '✅ Платёж применён! Подписка активирована.');
+        } catch (e) {
+          console.error('[stars retry] notify', e?.description || e);
+        }
+      }
+    } catch (e) {
+      console.error('[stars retry]', o.id, e);
+    }
+  }
+}
+
+function startPendingStarsRetry() {
+  setInterval(() => retryPendingStarsOnce().catch(e => console.error('[stars retry]', e)), STARS_RETRY_INTERVAL_SEC * 1000);
+}
+
+// ===== Команды бота (самообслуживание без мини-аппа)
+// Те же запросы, что у /api/me и /api/sub/me; заблокированным — только /status и /support
+const fmtDate = (d) => new Date(d).toLocaleDateString('ru-RU', { day:'2-digit', month:'2-digit', year:'numeric' });
+const BLOCKED_TEXT = '⛔ Аккаунт заблокирован. Если это ошибка — напишите /support.';
+
+bot.command('status', async (ctx) => {
+  const st = await getSubStatus(ctx.from.id);
+  const ar = await getStarsSubscription(ctx.from.id);
+  if (!st.active) {
+    return ctx.reply('❌ Активной подписки нет.\n\nОформить: /renew' + (st.trialEligible ? '\nИли возьмите пробный период в мини-приложении.' : ''));
+  }
+  const plan = await getPlan(st.plan);
+  await ctx.reply(
+    `✅ Подписка активна до *${fmtDate(st.until)}*\n` +
+    `Тариф: ${plan?.title || st.plan}` +
+    (ar?.active ? '\n🔄 Автопродление включено' : ''),
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.command('key', async (ctx) => {
+  if (await isUserBlocked(ctx.from.id)) return ctx.reply(BLOCKED_TEXT);
+  const v = await getActiveVlessLink(ctx.from.id);
+  if (!v) return ctx.reply('❌ Активной подписки нет — ключ не выдан. Оформить: /renew');
+  const png = await QRCode.toBuffer(v.link, { width: 512, margin: 1 });
+  await ctx.replyWithPhoto(new InputFile(png, 'vless.png'), {
+    caption: `🔑 Ваш ключ (действует до ${fmtDate(v.expires_at)}). Отсканируйте QR в V2Box или скопируйте ссылку ниже.`,
+    reply_markup: { inline_keyboard: [[{ text: '📺 QR ссылки-подписки', callback_data: 'qr:sub' }]] },
+  });
+  await ctx.reply('`' + v.link + '`', { parse_mode: 'Markdown' });
+});
+
+// QR ссылки-подписки: клиент сам подтянет ключ и обновления серверов
+bot.callbackQuery('qr:sub', async (ctx) => {
+  await ctx.answerCallbackQuery();
+  if (await isUserBlocked(ctx.from.id)) return ctx.reply(BLOCKED_TEXT);
+  if (!subscriptionBaseConfigured()) {
+    return ctx.reply('⚙️ Ссылка-подписка не настроена на сервере. Используйте ключ из /key или откройте мини-приложение.');
+  }
+  const url = await qrTarget(ctx.from.id, 'sub');
+  if (!url) return ctx.reply('❌ Ссылка-подписка недоступна: нет активной подписки.');
+  const png = await QRCode.toBuffer(url, { width: 512, margin: 1 });
+  await ctx.replyWithPhoto(new InputFile(png, 'subscription.png'), {
+    caption: `🔗 Ссылка-подписка для V2Box / Hiddify / Clash:\n${url}`,
+  });
+});
+
+bot.command('renew', async (ctx) => {
+  if (await isUserBlocked(ctx.from.id)) return ctx.reply(BLOCKED_TEXT);
+  const plans = (await listPlans({ visibleOnly: true })).filter(p => planPrice(p, 'XTR'));
+  if (!plans.length) return ctx.reply('Сейчас нет доступных тарифов.');
+  await ctx.reply('Выберите срок подписки:', {
+    reply_markup: {
+      inline_keyboard: plans.map(p => [{ text: `${p.title} — ${planPrice(p, 'XTR')} ⭐`, callback_data: `renew:${p.code}` }]),
+    },
+  });
+});
+
+bot.callbackQuery(/^renew:(.+)$/, async (ctx) => {
+  await ctx.answerCallbackQuery();
+  if (await isUserBlocked(ctx.from.id)) return ctx.reply(BLOCKED_TEXT);
+  const t = await getPlan(ctx.match[1], { visibleOnly: true });
+  if (!planPrice(t, 'XTR')) return ctx.reply('Этот тариф больше недоступен. /renew');
+  const inv = starsInvoice(ctx.from.id, t);
+  await ctx.replyWithInvoice(inv.title, inv.description, inv.payload, inv.currency, inv.prices);
+});
+
+// Привязанные приложения (devices) с кнопкой отвязки
+// device_id произвольной длины не влезает в callback_data (64 байта) — кладём короткий
+// хеш и по нему находим ровно одно устройство пользователя
+const deviceKey = (deviceId) => crypto.createHash('sha256').update(String(deviceId)).digest('hex').slice(0, 16);
+
+async function devicesKeyboard(userId) {
+  const q = await pool.query(
+    `select device_id, device_name, linked_at from devices where user_id = $1 order by linked_at desc nulls last`,
+    [userId]
+  );
+  return {
+    rows: q.rows,
+    reply_markup: {
+      inline_keyboard: q.rows.map(d => [{
+        text: `✖️ ${d.device_name || d.device_id.slice(0, 8)}${d.linked_at ? ' · ' + fmtDate(d.linked_at) : ''}`,
+        callback_data: `unlink:${deviceKey(d.device_id)}`,
+      }]),
+    },
+  };
+}
+
+bot.command('devices', async (ctx) => {
+  const kb = await devicesKeyboard(ctx.from.id);
+  if (!kb.rows.length) return ctx.reply('Привязанных устройств нет.');
+  await ctx.reply('📱 Привязанные устройства. Нажмите, чтобы отвязать:', { reply_markup: kb.reply_markup });
+});
+
+bot.callbackQuery(/^unlink:([0-9a-f]{16})$/, async (ctx) => {
+  // только своё устройство: ищем среди устройств пользователя, удаляем по точному device_id
+  const own = await pool.query(`select device_id from devices where user_id = $1`, [ctx.from.id]);
+  const dev = own.rows.find(d => deviceKey(d.device_id) === ctx.match[1]);
+  const q = dev
+    ? await pool.query(`delete from devices where user_id = $1 and device_id = $2`, [ctx.from.id, dev.device_id])
+    : { rowCount: 0 };
+  await ctx.answerCallbackQuery({ text: q.rowCount ? 'Устройство отвязано' : 'Устройство не найдено' });
+  const kb = await devicesKeyboard(ctx.from.id);
+  if (!kb.rows.length) return ctx.editMessageText('Привязанных устройств нет.');
+  await ctx.editMessageReplyMarkup({ reply_markup: kb.reply_markup });
+});
+
+// /support <текст> — открывает тикет (или дописывает в открытый)
+bot.command('support', async (ctx) => {
+  const text = String(ctx.match || '').trim();
+  if (!text) return ctx.reply('Опишите проблему одним сообщением: /support <текст>');
+  const { ticket, created } = await ticketUserMessage(ctx.from, text, 'bot');
+  await ctx.reply(created
+    ? `📨 Обращение #${ticket.id} создано. Ответ придёт сюда; чтобы дополнить — просто напишите сообщение.`
+    : `📨 Добавлено в обращение #${ticket.id}.`);
+});
+
+// Админ отвечает реплаем на уведомление «Тикет #N» — ответ уходит пользователю
+bot.on('message:text', async (ctx, next) => {
+  const text = ctx.message.text;
+  if (ctx.chat.type !== 'private' || text.startsWith('/')) return next();
+
+  const replied = ctx.message.reply_to_message;
+  if (adminIds().includes(ctx.from.id) && replied?.from?.id === ctx.me.id) {
+    const m = /Тикет #(\d+)/.exec(replied.text || '');
+    if (!m) return next();
+    const r = await ticketAdminReply(Number(m[1]), ctx.from.id, text);
+    return ctx.reply(r.ok ? `✅ Ответ по тикету #${m[1]} отправлен.` : `⚠️ Тикет #${m[1]}: ${r.error}`);
+  }
+
+  // Пользователь с открытым тикетом — сообщение дописывается в него
+  const open = await ticketOpenFor(ctx.from.id);
+  if (!open) return next();
+  await ticketUserMessage(ctx.from, text, 'bot');
+  await ctx.reply(`📨 Добавлено в обращение #${open.id}.`);
+});
+
+if (BOT_MODE === 'webhook') {
+  if (!TG_WEBHOOK_SECRET) console.warn('[bot] BOT_MODE=webhook без TELEGRAM_WEBHOOK_SECRET — апдейты отклоняются');
+  const tgWebhook = webhookCallback(bot, 'express', { secretToken: TG_WEBHOOK_SECRET });
+  app.post('/api/tg/webhook', (req, res, next) => {
+    // без секрета любой мог бы прислать «successful_payment» — не принимаем
+    if (!TG_WEBHOOK_SECRET) return res.sendStatus(403);
+    return tgWebhook(req, res, next);
+  });
+} else {
+  app.post('/api/tg/webhook', (req, res) => res.status(409).json({ ok:false, error:'bot_in_polling_mode' }));
+}
+
+
+
+// Активный ключ пользователя → { link, expires_at } | null (нет клиента или срок истёк)
+async function getActiveVlessLink(userId) {
+  const q = await pool.query(
+    'select uuid, expires_at from vless_clients where user_id = $1',
+    [userId]
+  );
+  if (!q.rowCount || new Date(q.rows[0].expires_at) <= new Date()) return null;
+  const server = await getUserServer(userId);
+  return { link: buildVlessUri(q.rows[0].uuid, `tg_${userId}`, server), expires_at: q.rows[0].expires_at };
+}
+
+// ===== Пользовательская VLESS-ссылка (по initData)
+app.get('/api/vpn/link', async (req, res) => {
+  try {
+    const user = getUserFromInitData(getInitDataFromReq(req));
+    const v = await getActiveVlessLink(user.id);
+    if (!v) return res.json({ active:false, reason:'expired_or_missing' });
+    res.json({ active:true, link: v.link, expires_at: v.expires_at });
+  } catch {
+    res.status(401).json({ active:false, error:'initData verification failed' });
+  }
+});
+// ===== Локации (страны серверов)
+// GET /api/locations — публично: страны с загрузкой (назначено / слотов)
+// POST /api/location { country } — подписчик переезжает в страну; не чаще LOCATION_SWITCH_LIMIT за LOCATION_SWITCH_WINDOW_H
+const LOCATION_SWITCH_LIMIT    = Number(process.env.LOCATION_SWITCH_LIMIT || 3);
+const LOCATION_SWITCH_WINDOW_H = Number(process.env.LOCATION_SWITCH_WINDOW_H || 24);
+
+async function listLocations() {
+  const q = await pool.query(`
+    select upper(s.country) as country,
+           count(*)::int as servers,
+           sum(coalesce(a.n, 0))::int as used,
+           -- null — хотя бы у одного сервера нет лимита слотов
+           case when bool_or((s.config->>'slot_limit') is null) then null
+                else sum((s.config->>'slot_limit')::int)::int end as capacity,
+           bool_or((s.config->>'slot_limit') is null or coalesce(a.n, 0) < (s.config->>'slot_limit')::int) as available
+    from servers s
+    left join (select server_id, count(*)::int as n from server_allocations group by server_id) a on a.server_id = s.id
+    where s.active is true
+      and s.draining is not true
+      and s.health is distinct from 'unhealthy'
+      and s.country is not null and s.country <> ''
+    group by 1
+    order by 1
+  `);
+  return q.rows.map(r => ({
+    ...r,
+    loadPct: r.capacity ? Math.min(100, Math.round(r.used / r.capacity * 100)) : null,
+  }));
+}
+
+app.get('/api/locations', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=30');
+    res.json({ ok:true, items: await listLocations() });
+  } catch (e) {
+    console.error('[locations]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+app.post('/api/location', requireNotBlocked, async (req, res) => {
+  try {
+    const uid = req.user.id;
+    const country = String(req.body?.country || '').trim().toUpperCase();
+    if (!/^[A-Z]{2,3}$/.test(country)) return res.status(400).json({ ok:false, error:'bad_country' });
+
+    const active = await pool.query(`select 1 from vless_clients where user_id = $1 and expires_at > now()`, [uid]);
+    if (!active.rowCount) return res.status(403).json({ ok:false, error:'no_active_subscription' });
+
+    const cur = await getUserServer(uid);
+    if (cur && String(cur.country || '').toUpperCase() === country) {
+      const v = await getActiveVlessLink(uid);
+      return res.json({ ok:true, switched:false, link: v?.link || null, server: { id: cur.id, name: cur.name, country } });
+    }
+
+    const recent = await pool.query(`
+      select count(*)::int as n, min(created_at) as oldest
+      from location_switches
+      where user_id = $1 and created_at > now() - make_interval(hours => $2)
+    `, [uid, LOCATION_SWITCH_WINDOW_H]);
+    if (recent.rows[0].n >= LOCATION_SWITCH_LIMIT) {
+      const retryAt = new Date(new Date(recent.rows[0].oldest).getTime() + LOCATION_SWITCH_WINDOW_H * 3600e3);
+      return res.status(429).json({ ok:false, error:'too_many_switches', retryAt });
+    }
+
+    const to = await pickServerForUser({ country });
+    if (!to) return res.status(409).json({ ok:false, error:'location_full_or_unavailable' });
+
+    await pool.query(`update users set preferred_country = $2 where id = $1`, [uid, country]);
+    await pool.query(`
+      insert into server_allocations (user_id, server_id)
+      values ($1,$2)
+      on conflict (user_id) do update set server_id = excluded.server_id, assigned_at = now()
+    `, [uid, to]);
+    await pool.query(
+      `insert into location_switches (user_id, from_server, to_server) values ($1,$2,$3)`,
+      [uid, cur?.id || null, to]
+    );
+
+    const v = await getActiveVlessLink(uid);
+    const s = await getUserServer(uid);
+    res.json({
+      ok:true, switched:true, link: v?.link || null,
+      server: { id: s.id, name: s.name, country: s.country },
+      switchesLeft: LOCATION_SWITCH_LIMIT - recent.rows[0].n - 1,
+    });
   } catch (e) {
-    console.error('[whoami]', e?.message || e);
-    res.status(401).json({ ok: false, error: 'initData verification failed' });
+    console.error('[location]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
+// ===== Поддержка (тикеты). Пользователь пишет из бота (/support) или мини-аппа,
+// админы отвечают во вкладке «Поддержка» или реплаем на уведомление в Telegram.
+
+// Снимок контекста пользователя для тикета: подписка, сервер, последние оплаты, устройства
+async function ticketContext(userId) {
+  const [sub, srv, pays, devs] = await Promise.all([
+    getSubStatus(userId),
+    pool.query(`
+      select s.id, s.name, s.host, s.country
+      from server_allocations a join servers s on s.id = a.server_id
+      where a.user_id = $1
+    `, [userId]),
+    pool.query(`
+      select o.id, o.provider, o.plan, o.amount, o.currency, o.status, o.paid_at
+      from orders o where o.user_id = $1
+      order by o.id desc limit 5
+    `, [userId]),
+    pool.query(`select device_id, device_name, linked_at from devices where user_id = $1`, [userId]),
+  ]);
+  return {
+    subscription: sub,
+    autoRenew: await getStarsSubscription(userId),
+    blocked: await isUserBlocked(userId),
+    server: srv.rows[0] || null,
+    payments: pays.rows.map(p => ({ ...p, amount: Number(p.amount) })),
+    devices: devs.rows,
+  };
+}
 
-// ====== Telegram Stars (инвойсы) + рефералка (in-memory) ======
-const PLAN_STARS = {
-  '7d':  Number(process.env.STARS_7D  || 20),
-  '1m':  Number(process.env.STARS_1M  || 50),
-  '3m':  Number(process.env.STARS_3M  || 120),
-  '6m':  Number(process.env.STARS_6M  || 200),
-  '12m': Number(process.env.STARS_12M || 350),
-};
-const humanPlan = (p)=> ({'7d':'Неделя','1m':'1 месяц','3m':'3 месяца','6m':'6 месяцев','12m':'1 год'}[p] || p);
-
-// --- простая реф-учётка
-const referrals = new Map(); // childUserId -> refUserId
-const refAgg    = new Map(); // refUserId   -> { invites:Set<number>, amountStars:number }
-// профили приглашённых и сумма пополнений каждого
-const profiles        = new Map(); // userId -> { username, photo }
-const refSpendByChild = new Map(); // childId -> amountStars
+async function ticketOpenFor(userId) {
+  const q = await pool.query(
+    `select * from tickets where user_id = $1 and status <> 'closed' order by id desc limit 1`,
+    [userId]
+  );
+  return q.rows[0] || null;
+}
 
+// Сообщение пользователя → в открытый тикет или новый. → { ticket, created }
+async function ticketUserMessage(user, text, source) {
+  await dbUpsertUser(user);
+  let ticket = await ticketOpenFor(user.id);
+  const created = !ticket;
+  if (created) {
+    ticket = (await pool.query(`
+      insert into tickets (user_id, subject, source, context)
+      values ($1,$2,$3,$4) returning *
+    `, [user.id, text.slice(0, 80), source, await ticketContext(user.id)])).rows[0];
+  } else {
+    await pool.query(`update tickets set status = 'open', updated_at = now() where id = $1`, [ticket.id]);
+  }
+  await pool.query(
+    `insert into ticket_messages (ticket_id, author, author_id, text) values ($1,'user',$2,$3)`,
+    [ticket.id, user.id, text]
+  );
 
-function linkReferral(childId, refId){
-  if (!refId || childId === refId) return;
-  if (!referrals.has(childId)) {
-    referrals.set(childId, refId);
-    const cur = refAgg.get(refId) || { invites: new Set(), amountStars: 0 };
-    cur.invites.add(childId);
-    refAgg.set(refId, cur);
+  // уведомляем назначенного админа, а если никто не назначен — всех
+  const who = user.username ? '@' + user.username : user.first_name || '';
+  const head = created ? `🆘 Тикет #${ticket.id} (новый)` : `💬 Тикет #${ticket.id}`;
+  for (const id of ticket.assignee ? [Number(ticket.assignee)] : adminIds()) {
+    try {
+      await bot.api.sendMessage(id, `${head} от ${who} (id ${user.id})\n\n${text}\n\n↩️ Ответьте реплаем на это сообщение`);
+    } catch (e) { console.error('[support] notify admin', id, e?.description || e); }
   }
+  return { ticket, created };
 }
-const getReferrer = (childId)=> referrals.get(childId) || null;
 
-// --- поймать стартовый параметр и привязать реферала
-app.get('/api/ref/track', requireNotBlocked, async (req, res) => {
+// Ответ админа → в БД и пользователю через бота. → { ok, error? }
+async function ticketAdminReply(ticketId, adminId, text) {
+  const t = (await pool.query(`select * from tickets where id = $1`, [ticketId])).rows[0];
+  if (!t) return { ok:false, error:'not_found' };
+  if (t.status === 'closed') return { ok:false, error:'ticket_closed' };
   try {
-    // берем initData через хелпер (query/body/заголовок x-init-data)
-    const initDataRaw = getInitDataFromReq(req);
-
-    // верифицируем подпись и получаем пользователя
-    const user = getUserFromInitData(initDataRaw);
-    await dbUpsertUser(user);
+    await bot.api.sendMessage(Number(t.user_id), `💬 Поддержка (обращение #${t.id}):\n\n${text}`);
+  } catch (e) {
+    console.error('[support] deliver', t.id, e?.description || e);
+    return { ok:false, error:'delivery_failed' };
+  }
+  await pool.query(
+    `insert into ticket_messages (ticket_id, author, author_id, text) values ($1,'admin',$2,$3)`,
+    [t.id, adminId, text]
+  );
+  await pool.query(`
+    update tickets set status = 'answered', assignee = coalesce(assignee, $2), updated_at = now()
+    where id = $1
+  `, [t.id, adminId]);
+  return { ok:true };
+}
 
-    // достаем start_param из ИСХОДНОЙ строки initData
-    const params = new URLSearchParams(initDataRaw);
-    const sp = params.get('start_param') || '';
-    const m  = /^ref_(\d+)$/.exec(sp);
-    if (m) { await dbLinkReferral(user.id, Number(m[1])); }
+async function ticketMessages(ticketId) {
+  return (await pool.query(
+    `select id, author, author_id, text, created_at from ticket_messages where ticket_id = $1 order by id`,
+    [ticketId]
+  )).rows;
+}
 
-    res.json({ ok: true });
+// POST /api/support/tickets { text } — из мини-аппа
+app.post('/api/support/tickets', requireNotBlocked, async (req, res) => {
+  try {
+    const text = String(req.body?.text || '').trim().slice(0, 4000);
+    if (!text) return res.status(400).json({ ok:false, error:'empty_text' });
+    const { ticket, created } = await ticketUserMessage(req.user, text, 'miniapp');
+    res.json({ ok:true, ticketId: ticket.id, created });
   } catch (e) {
-    console.error('[ref/track]', e);
-    res.status(401).json({ ok:false, error:'initData verification failed' });
+    console.error('[support/tickets][POST]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
-
-
-app.post('/api/ref/stats', requireNotBlocked, async (req, res) => {
+// GET /api/support/tickets — свои тикеты с перепиской
+app.get('/api/support/tickets', requireNotBlocked, async (req, res) => {
   try {
-    const user = getUserFromInitData(getInitDataFromReq(req));
-    const stats = await dbGetRefStats(user.id);
-
-    res.json({
-      total: stats.total,
-      amountRub: stats.amountRub,
-      incomeRub: stats.incomeRub,
-      items: stats.items,
-      link: `https://t.me/${process.env.BOT_USERNAME || 'tothemoonvpnbot'}?start=ref_${user.id}`
-    });
+    const q = await pool.query(
+      `select id, status, subject, created_at, updated_at, closed_at from tickets where user_id = $1 order by id desc limit 20`,
+      [req.user.id]
+    );
+    const items = [];
+    for (const t of q.rows) items.push({ ...t, messages: await ticketMessages(t.id) });
+    res.json({ ok:true, items });
   } catch (e) {
-    console.error('[ref/stats]', e);
-    res.status(401).json({ ok:false, error:'initData verification failed' });
+    console.error('[support/tickets][GET]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
-
-
-// --- создать инвойс в Stars под выбранный план
-app.post('/api/pay/invoice', requireNotBlocked, async (req, res) => {
+app.post('/api/support/tickets/:id/close', requireNotBlocked, async (req, res) => {
   try {
-    const { plan } = req.body || {};
-const user = getUserFromInitData(getInitDataFromReq(req));
-
-    const amount = PLAN_STARS[plan];
-    if (!amount) return res.status(400).json({ error:'invalid plan' });
-
-    const payload = { t:'sub', plan, uid:user.id, ref:getReferrer(user.id) };
-    const body = {
-      title: `VPN • ${humanPlan(plan)}`,
-      description: 'Подписка на доступ к VPN-серверу',
-      payload: JSON.stringify(payload),
-      provider_token: '',                 // обязательно пустая строка для Stars
-      currency: 'XTR',                    // платежи только в Stars
-      prices: [{ label: `VPN ${humanPlan(plan)}`, amount }] // amount = кол-во звёзд
-    };
-
-    const url = `https://api.telegram.org/bot${process.env.BOT_TOKEN}/createInvoiceLink`;
-    const r   = await fetch(url, { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify(body) });
-    const j   = await r.json();
-    if (!j.ok) return res.status(500).json({ error:'tg_error', details:j });
-    res.json({ invoiceLink: j.result, amount });
+    const q = await pool.query(`
+      update tickets set status = 'closed', closed_at = now(), updated_at = now()
+      where id = $1 and user_id = $2 and status <> 'closed'
+      returning id
+    `, [Number(req.params.id), req.user.id]);
+    if (!q.rowCount) return res.status(404).json({ ok:false, error:'not_found' });
+    res.json({ ok:true });
   } catch (e) {
-    res.status(500).json({ error:'server_error', message: e?.message || String(e) });
+    console.error('[support/tickets/close]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
   }
 });
-// === CRYPTO (NOWPayments) =============================
-async function getRubPrice(planCode) {
-  const q = await pool.query(`select price_rub from tariffs where code = $1`, [planCode]);
-  return q.rowCount ? Number(q.rows[0].price_rub) : null;
+
+// ===== QR-коды ключа и ссылки-подписки (для второго устройства: ТВ, ноутбук)
+// GET /api/qr?what=link|sub&format=png|svg — по initData или по короткому токену ?t=
+// POST /api/qr/token { what } → ссылка на QR, которую можно открыть без Telegram (живёт QR_TOKEN_TTL_SEC)
+const QR_TOKEN_TTL_SEC = Number(process.env.QR_TOKEN_TTL_SEC || 600);
+const QR_TOKEN_SECRET = process.env.QR_TOKEN_SECRET
+  || crypto.createHash('sha256').update(`qr:${process.env.BOT_TOKEN || ''}`).digest('hex');
+const QR_WHAT = ['link', 'sub'];
+
+// токен: base64url("<uid>.<what>.<exp>") + "." + HMAC-SHA256 (обрезан до 32 hex)
+function signQrToken(userId, what) {
+  const exp = Math.floor(Date.now() / 1000) + QR_TOKEN_TTL_SEC;
+  const body = Buffer.from(`${userId}.${what}.${exp}`).toString('base64url');
+  const sig = crypto.createHmac('sha256', QR_TOKEN_SECRET).update(body).digest('hex').slice(0, 32);
+  return { token: `${body}.${sig}`, exp };
 }
 
-const FX_RUB_USD = Number(process.env.FX_RUB_USD || '0.011'); // 1₽ ≈ 0.011$
-const NOWPAY_API = 'https://api.nowpayments.io/v1';
-const NOWPAY_KEY = process.env.NOWPAY_API_KEY || '';
+// → { userId, what } | null (подпись не сошлась или срок вышел)
+function verifyQrToken(token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  const expected = crypto.createHmac('sha256', QR_TOKEN_SECRET).update(body).digest('hex').slice(0, 32);
+  const a = Buffer.from(sig), b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  const [uid, what, exp] = Buffer.from(body, 'base64url').toString().split('.');
+  if (!QR_WHAT.includes(what) || Number(exp) < Date.now() / 1000) return null;
+  return { userId: Number(uid), what };
+}
 
+// Что кодировать: vless:// ключ или URL подписки → строка | null
+async function qrTarget(userId, what, req = null) {
+  if (what === 'link') return (await getActiveVlessLink(userId))?.link || null;
+  const q = await pool.query(
+    `select sub_token, expires_at from vless_clients where user_id = $1`,
+    [userId]
+  );
+  if (!q.rowCount || new Date(q.rows[0].expires_at) <= new Date()) return null;
+  return subscriptionUrl(req, q.rows[0].sub_token);
+}
 
-app.post('/api/pay/crypto/invoice', requireNotBlocked, async (req, res) => {
+app.get('/api/qr', async (req, res) => {
   try {
-    const { plan } = req.body || {};
-    const user = getUserFromInitData(getInitDataFromReq(req));
-    const priceRub = await getRubPrice(plan);
-if (!priceRub) return res.status(400).json({ ok:false, error:'invalid_plan' });
-
-    if (!priceRub) return res.status(400).json({ error:'invalid_plan' });
-
-    const priceUsd = Math.max(0.5, Number((priceRub * FX_RUB_USD).toFixed(2)));
-    const body = {
-      price_amount: priceUsd,
-      price_currency: 'usd',
-      order_id: `sub|${plan}|${user.id}|${Date.now()}`,
-      order_description: `VPN ${humanPlan(plan)} (tg ${user.id})`,
-      success_url: `${SITE_URL}/?paid=1`,
-      cancel_url: `${SITE_URL}/?canceled=1`,
-    };
+    let userId, what = String(req.query.what || 'link');
+    if (req.query.t) {
+      const tok = verifyQrToken(req.query.t);
+      if (!tok) return res.status(401).json({ ok:false, error:'bad_or_expired_token' });
+      ({ userId, what } = tok);
+    } else {
+      try { userId = getUserFromInitData(getInitDataFromReq(req)).id; }
+      catch { return res.status(401).json({ ok:false, error:'initData verification failed' }); }
+    }
+    if (!QR_WHAT.includes(what)) return res.status(400).json({ ok:false, error:'bad_what' });
+    if (await isUserBlocked(userId)) return res.status(403).json({ ok:false, error:'blocked' });
 
-    const r = await fetch(`${NOWPAY_API}/invoice`, {
-      method:'POST',
-      headers:{ 'content-type':'application/json', 'x-api-key': NOWPAY_KEY },
-      body: JSON.stringify(body)
-    });
-    const j = await r.json();
-    if (!r.ok || !j?.invoice_url) return res.status(500).json({ error:'nowpay_error', details:j });
+    const text = await qrTarget(userId, what, req);
+    if (!text) return res.status(404).json({ ok:false, error:'expired_or_missing' });
 
-    res.json({ url: j.invoice_url, id: j.id || j.invoice_id || null });
+    const size = Math.min(1024, Math.max(128, Number(req.query.size) || 512));
+    res.set('Cache-Control', 'no-store');
+    if (req.query.format === 'svg') {
+      res.type('image/svg+xml').send(await QRCode.toString(text, { type: 'svg', margin: 1, width: size }));
+    } else {
+      res.type('png').send(await QRCode.toBuffer(text, { width: size, margin: 1 }));
+    }
   } catch (e) {
-    console.error('[crypto/invoice]', e);
-    res.status(500).json({ error:'server_error', message: e?.message || String(e) });
+    console.error('[qr]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
-app.get('/api/pay/crypto/status', requireNotBlocked, async (req, res) => {
+app.post('/api/qr/token', requireNotBlocked, async (req, res) => {
   try {
-    const invoiceId = req.query.id;
-    if (!invoiceId) return res.status(400).json({ error: 'no_invoice' });
-
-    const me = getUserFromInitData(getInitDataFromReq(req));
-    const r = await fetch(`${NOWPAY_API}/invoice/${invoiceId}`, {
-      headers: { 'x-api-key': NOWPAY_KEY }
+    const what = String(req.body?.what || 'link');
+    if (!QR_WHAT.includes(what)) return res.status(400).json({ ok:false, error:'bad_what' });
+    const { token, exp } = signQrToken(req.user.id, what);
+    const base = `${req.protocol}://${req.get('host')}/api/qr?t=${encodeURIComponent(token)}`;
+    res.json({
+      ok:true, token, expiresAt: new Date(exp * 1000).toISOString(),
+      png: base, svg: `${base}&format=svg`,
     });
-    const j = await r.json();
-    if (!r.ok) return res.status(500).json({ error:'nowpay_error', details:j });
-
-    const st = String(j.status || '').toLowerCase();
-    if (st === 'finished' || st === 'confirmed' || st === 'paid') {
-      const [t, plan, uid] = String(j.order_id || '').split('|');
-      const uidNum = Number(uid);
-      if (t === 'sub' && plan && uidNum && uidNum === me.id) {
-        const priceRub = await getRubPrice(plan);
-await dbRecordPayment(me.id, plan, 0, priceRub || 0);
-
-        await grantSubscription(me.id, plan);
-        return res.json({ ok:true, activated:true });
-      }
-    }
-    res.json({ ok:true, activated:false, status: j.status });
   } catch (e) {
-    console.error('[crypto/status]', e);
-    res.status(500).json({ error:'server_error', message: e?.message || String(e) });
+    console.error('[qr/token]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
+// ===== Синк клиентов Xray (VPS → API)
+// Каждая нода получает только своих клиентов (server_allocations) и подписывает
+// запрос собственным servers.node_secret. Общий VLESS_SYNC_SECRET больше не принимается.
+
+// Нода из запроса: id — ?server= / body.serverId / x-node-id, секрет — x-node-secret / ?secret= / body.secret
+async function authNode(req) {
+  const id = Number(req.query?.server || req.body?.serverId || req.get('x-node-id') || 0);
+  const secret = String(req.get('x-node-secret') || req.query?.secret || req.body?.secret || '');
+  if (!id || !secret) return null;
+  const q = await pool.query(`select id, host, port, config, node_secret from servers where id = $1`, [id]);
+  if (!q.rowCount || !q.rows[0].node_secret) return null;
+  const a = Buffer.from(secret), b = Buffer.from(q.rows[0].node_secret);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  return q.rows[0];
+}
 
-// --- учёт платежа (после успешного "paid" в мини-аппе)
-app.post('/api/pay/record', requireNotBlocked, async (req, res) => {
-  try {
-    const { plan, amountStars, amountRub } = req.body || {};
-    const user = getUserFromInitData(getInitDataFromReq(req));
+// Нода жива: отметка heartbeat (здоровье пересчитывает монитор, см. runHealthCheckOnce)
+async function touchHeartbeat(serverId) {
+  await pool.query(`update servers set last_heartbeat = now() where id = $1`, [serverId]);
+}
 
-    const stars = Number(amountStars || 0);
-    const rub   = amountRub != null
-      ? Number(amountRub)
-      : Math.round(stars * Number(process.env.STARS_TO_RUB || 2.0));
+const XRAY_SYNC_LOG_KEEP = 500; // сколько ревизий журнала хранить на сервер
 
-    if (!plan || (!Number.isFinite(rub) || rub <= 0)) {
-      return res.status(400).json({ error: 'bad_args' });
+// Пересчитывает клиентов сервера; если набор изменился — новая ревизия + запись в журнал
+async function syncServerClients(server) {
+  const lim = serverLimits(server);
+  const flow = serverVlessParams(server).flow;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `insert into xray_sync_state (server_id) values ($1) on conflict do nothing`,
+      [server.id]
+    );
+    const st = (await client.query(
+      `select rev, clients from xray_sync_state where server_id = $1 for update`,
+      [server.id]
+    )).rows[0];
+
+    const rows = (await client.query(`
+      select v.uuid::text as id, v.label as email
+      from server_allocations a
+      join vless_clients v on v.user_id = a.user_id
+      where a.server_id = $1
+        and v.expires_at > now()
+        and not exists (
+          select 1 from blocks b
+          where b.user_id = a.user_id and (b.until is null or b.until > now())
+        )
+    `, [server.id])).rows;
+
+    const cur = {};
+    for (const r of rows) {
+      cur[r.id] = {
+        id: r.id, email: r.email, flow,
+        cap_mbps: lim.per_user_cap_mbps, ceil_mbps: lim.per_user_ceil_mbps
+      };
     }
 
-    await dbUpsertUser(user);
-    await dbRecordPayment(user.id, plan, stars, rub);
+    const prev = st.clients || {};
+    const added = Object.values(cur)
+      .filter(c => JSON.stringify(prev[c.id]) !== JSON.stringify(c));
+    const removed = Object.keys(prev).filter(id => !cur[id]);
 
-    return res.json({ ok: true });
+    let rev = Number(st.rev);
+    if (added.length || removed.length) {
+      rev += 1;
+      await client.query(
+        `update xray_sync_state set rev = $2, clients = $3, updated_at = now() where server_id = $1`,
+        [server.id, rev, cur]
+      );
+      await client.query(
+        `insert into xray_sync_log (server_id, rev, added, removed) values ($1,$2,$3,$4)`,
+        [server.id, rev, JSON.stringify(added), JSON.stringify(removed)]
+      );
+      await client.query(
+        `delete from xray_sync_log where server_id = $1 and rev <= $2`,
+        [server.id, rev - XRAY_SYNC_LOG_KEEP]
+      );
+    }
+    await client.query('COMMIT');
+    return { rev, clients: cur };
   } catch (e) {
-    console.error('[pay/record]', e);
-    return res.status(401).json({ ok:false, error:'initData verification failed' });
+    await client.query('ROLLBACK'); throw e;
+  } finally {
+    client.release();
   }
-});
-
-// Telegram webhook: activates subscription only after successful payment
-const TG_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || '';
+}
 
-app.post('/api/tg/webhook', async (req, res) => {
-  try {
-    const hdr = req.get('x-telegram-bot-api-secret-token') || '';
-    if (TG_WEBHOOK_SECRET && hdr !== TG_WEBHOOK_SECRET) return res.sendStatus(403);
-
-    const update = req.body || {};
-    const sp = update?.message?.successful_payment;
-    if (sp && sp.invoice_payload) {
-      let payload = {};
-      try { payload = JSON.parse(sp.invoice_payload); } catch {}
-      if (payload.t === 'sub' && payload.uid && payload.plan) {
-        const userId = Number(payload.uid);
-        const plan = String(payload.plan);
-        const stars = Number(sp.total_amount || 0);
-        const rub = null;
-        try { await dbRecordPayment(userId, plan, stars, rub); } catch (e) { console.warn('record fail', e); }
-        await grantSubscription(userId, plan);
+// GET /api/vpn/clients?server=<id>[&since=<rev>]   (x-node-secret: <servers.node_secret>)
+// → полный список: { full:true,  rev, clients:[...], inbound }
+// → дифф:          { full:false, rev, added:[...], removed:[uuid...], inbound }
+app.get('/api/vpn/clients', async (req, res) => {
+  try {
+    const server = await authNode(req);
+    if (!server) return res.sendStatus(403);
+    await touchHeartbeat(server.id);
+
+    const { rev, clients } = await syncServerClients(server);
+    const v = serverVlessParams(server);
+    const inbound = { port: v.port, flow: v.flow, sni: v.sni, short_id: v.sid };
+
+    const since = req.query.since != null && req.query.since !== '' ? Number(req.query.since) : NaN;
+    if (Number.isInteger(since) && since >= 0 && since <= rev) {
+      const log = (await pool.query(
+        `select rev, added, removed from xray_sync_log
+         where server_id = $1 and rev > $2
+         order by rev`,
+        [server.id, since]
+      )).rows;
+
+      // журнал покрывает весь интервал (since, rev] → отдаём дифф, иначе — полный список
+      if (log.length === rev - since) {
+        const added = new Map(), removed = new Set();
+        for (const l of log) {
+          for (const c of l.added) { removed.delete(c.id); added.set(c.id, c); }
+          for (const id of l.removed) { added.delete(id); removed.add(id); }
+        }
+        return res.json({ full:false, rev, added: [...added.values()], removed: [...removed], inbound });
       }
     }
-    res.sendStatus(200);
+
+    res.json({ full:true, rev, clients: Object.values(clients), inbound });
   } catch (e) {
-    console.error('[tg/webhook]', e);
-    res.sendStatus(200);
+    console.error('[vpn/clients]', e);
+    res.status(500).json({ error:'server_error' });
   }
 });
 
+// POST /api/vpn/traffic  { serverId, secret, mode?, users: [{ email: "tg_123", up, down }] }
+// Счётчики из Xray stats API (user>>>tg_<id>>>>traffic>>>uplink/downlink), байты.
+// mode = 'delta' (по умолчанию; нода читает статистику с reset) | 'total' (накопленные значения:
+// дельта считается от прошлого отчёта, меньшее значение — рестарт Xray, считаем с нуля;
+// первый отчёт по паре сервер+пользователь — только точка отсчёта, в traffic_daily не идёт,
+// иначе весь накопленный нодой трафик записался бы в «сегодня»).
+app.post('/api/vpn/traffic', async (req, res) => {
+  try {
+    const server = await authNode(req);
+    if (!server) return res.status(403).json({ ok:false, error:'forbidden' });
+    const { users, mode = 'delta' } = req.body || {};
+    if (!Array.isArray(users) || !['delta', 'total'].includes(mode)) {
+      return res.status(400).json({ ok:false, error:'bad_args' });
+    }
+    await touchHeartbeat(server.id);
 
+    // email → user_id по меткам vless_clients (tg_<id>)
+    const labels = [...new Set(users.map(u => String(u?.email || '')).filter(Boolean))];
+    const map = new Map((await pool.query(
+      `select label, user_id from vless_clients where label = any($1::text[])`, [labels]
+    )).rows.map(r => [r.label, Number(r.user_id)]));
 
-// ===== Пользовательская VLESS-ссылка (по initData)
-app.get('/api/vpn/link', async (req, res) => {
-  try {
-    const user = getUserFromInitData(getInitDataFromReq(req));
-    const q = await pool.query(
-      'select uuid, expires_at from vless_clients where user_id = $1',
-      [user.id]
-    );
-    if (!q.rowCount || new Date(q.rows[0].expires_at) <= new Date()) {
-      return res.json({ active:false, reason:'expired_or_missing' });
+    const client = await pool.connect();
+    let stored = 0, unknown = 0;
+    try {
+      await client.query('BEGIN');
+      for (const u of users) {
+        const uid = map.get(String(u?.email || ''));
+        let up = Math.max(0, Math.floor(Number(u?.up) || 0));
+        let down = Math.max(0, Math.floor(Number(u?.down) || 0));
+        if (!uid) { unknown++; continue; }
+
+        if (mode === 'total') {
+          const prev = (await client.query(`
+            select up_bytes, down_bytes from traffic_counters where server_id = $1 and user_id = $2 for update
+          `, [server.id, uid])).rows[0];
+          await client.query(`
+            insert into traffic_counters (server_id, user_id, up_bytes, down_bytes, updated_at)
+            values ($1,$2,$3,$4,now())
+            on conflict (server_id, user_id) do update
+              set up_bytes = excluded.up_bytes, down_bytes = excluded.down_bytes, updated_at = now()
+          `, [server.id, uid, up, down]);
+          if (!prev) continue; // базовая точка, дельты ещё нет
+          up   = up   >= Number(prev.up_bytes)   ? up   - Number(prev.up_bytes)   : up;
+          down = down >= Number(prev.down_bytes) ? down - Number(prev.down_bytes) : down;
+        }
+        if (!up && !down) continue;
+
+        await client.query(`
+          insert into traffic_daily (user_id, day, server_id, up_bytes, down_bytes)
+          values ($1, current_date, $2, $3, $4)
+          on conflict (user_id, day, server_id) do update
+            set up_bytes = traffic_daily.up_bytes + excluded.up_bytes,
+                down_bytes = traffic_daily.down_bytes + excluded.down_bytes
+        `, [uid, server.id, up, down]);
+        stored++;
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK'); throw e;
+    } finally {
+      client.release();
     }
-    const link = buildVlessUri(q.rows[0].uuid, `tg_${user.id}`);
-    res.json({ active:true, link, expires_at: q.rows[0].expires_at });
-  } catch {
-    res.status(401).json({ active:false, error:'initData verification failed' });
+    res.json({ ok:true, stored, unknown });
+  } catch (e) {
+    console.error('[vpn/traffic]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
   }
 });
-// ===== Список активных клиентов для Xray (VPS-синк)
-app.get('/api/vpn/clients', async (req, res) => {
+
+// POST /api/vpn/heartbeat  { serverId, secret } — нода жива (для VPS без отчёта о подключениях)
+app.post('/api/vpn/heartbeat', async (req, res) => {
   try {
-    const secret = req.query.secret || req.get('x-vless-sync') || '';
-    if (secret !== (process.env.VLESS_SYNC_SECRET || '')) return res.sendStatus(403);
-    const rows = (await pool.query(
-      `select uuid::text as id, label as email
-       from vless_clients
-       where expires_at > now()`
-    )).rows;
-    res.json(rows.map(r => ({ id: r.id, flow: 'xtls-rprx-vision', email: r.email })));
+    const server = await authNode(req);
+    if (!server) return res.status(403).json({ ok:false, error:'forbidden' });
+    await touchHeartbeat(server.id);
+    res.json({ ok:true });
   } catch (e) {
-    res.status(500).json({ error:'server_error' });
+    console.error('[vpn/heartbeat]', e);
+    res.status(500).json({ ok:false, error:'server_error' });
   }
 });
 
 // POST /api/vpn/connections  { serverId, secret, ips: ["1.2.3.4", ...] }
+// secret — node_secret сервера; общий VPN_REPORT_SECRET старых скриптов принимается только
+// для нод, которым node_secret ещё не выдан. Каждый отчёт — heartbeat
 app.post('/api/vpn/connections', async (req, res) => {
   try {
     const { serverId, secret, ips } = req.body || {};
     if (!serverId || !Array.isArray(ips)) return res.status(400).json({ ok:false, error:'bad_args' });
-    if (secret !== (process.env.VPN_REPORT_SECRET || '')) return res.status(403).json({ ok:false, error:'forbidden' });
+    const node = await authNode(req);
+    let sid = node?.id || null;
+    if (!node && process.env.VPN_REPORT_SECRET && secret === process.env.VPN_REPORT_SECRET) {
+      const q = await pool.query(`select id from servers where id = $1 and node_secret is null`, [Number(serverId)]);
+      sid = q.rows[0]?.id || null;
+    }
+    if (!sid) return res.status(403).json({ ok:false, error:'forbidden' });
+    await touchHeartbeat(sid);
 
     const client = await pool.connect();
     try {
@@ -1625,7 +4598,7 @@ app.post('/api/vpn/connections', async (req, res) => {
           insert into server_connections (server_id, ip, seen_at)
           values ($1, $2, now())
           on conflict (server_id, ip) do update set seen_at = excluded.seen_at
-        `, [serverId, ip]);
+        `, [sid, ip]);
       }
       await client.query('COMMIT');
     } catch (e) {
@@ -1656,6 +4629,13 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 3000;
 async function runExpiryNotifierOnce() {
+  // Telegram не сообщает о неудачном списании (отменённая карта, нет звёзд): если очередного
+  // платежа нет через сутки после конца оплаченного периода — автопродление считаем прекращённым
+  await pool.query(`
+    update stars_subscriptions set status = 'lapsed', updated_at = now()
+    where status = 'active' and expires_at < now() - interval '1 day'
+  `);
+
   // Кого предупредить за 3 дня
   const q3 = await pool.query(`
     with c as (
@@ -1664,6 +4644,11 @@ async function runExpiryNotifierOnce() {
       where until is not null
         and until > now()
         and date(until) = date(now() + interval '3 days')
+        -- с действующим автопродлением Telegram продлит сам — не пугаем
+        and not exists (
+          select 1 from stars_subscriptions ss
+          where ss.user_id = subscriptions.user_id and ss.status = 'active' and ss.expires_at > now()
+        )
     )
     select c.user_id, c.d
     from c
@@ -1693,6 +4678,11 @@ async function runExpiryNotifierOnce() {
       where until is not null
         and until > now()
         and date(until) = date(now() + interval '1 day')
+        -- с действующим автопродлением Telegram продлит сам — не пугаем
+        and not exists (
+          select 1 from stars_subscriptions ss
+          where ss.user_id = subscriptions.user_id and ss.status = 'active' and ss.expires_at > now()
+        )
     )
     select c.user_id, c.d
     from c
@@ -1752,12 +4742,234 @@ function startExpiryNotifier() {
   );
 }
 
+// ===== Мониторинг нод и автоматический перенос пользователей
+// Раз в HEALTH_INTERVAL_SEC: TCP (или TLS при HEALTH_PROBE=tls) проба host:port каждой активной ноды.
+// Нода считается упавшей, если heartbeat устарел (или его никогда не было) И проба не прошла
+// HEALTH_FAIL_THRESHOLD раз подряд. Тогда её пользователи переезжают на здоровые ноды.
+const HEALTH_INTERVAL_SEC   = Number(process.env.HEALTH_INTERVAL_SEC || 60);
+const HEALTH_STALE_SEC      = Number(process.env.HEALTH_STALE_SEC || 180);
+const HEALTH_FAIL_THRESHOLD = Number(process.env.HEALTH_FAIL_THRESHOLD || 3);
+const HEALTH_PROBE          = process.env.HEALTH_PROBE === 'tls' ? 'tls' : 'tcp';
+const HEALTH_PROBE_TIMEOUT_MS = 5000;
+
+// → { ok, ms, error }
+// Не бросает: ошибка конфигурации (напр. нет параметров REALITY) — неудачная проба
+async function probeServer(server) {
+  let v;
+  try {
+    v = serverVlessParams(server);
+  } catch (e) {
+    return { ok: false, ms: 0, error: `config: ${e.message || e}` };
+  }
+  const started = Date.now();
+  return new Promise((resolve) => {
+    const done = (ok, error = null) => {
+      sock.destroy();
+      resolve({ ok, ms: Date.now() - started, error });
+    };
+    const sock = HEALTH_PROBE === 'tls'
+      ? tls.connect({ host: server.host, port: v.port, servername: v.sni, rejectUnauthorized: false }, () => done(true))
+      : net.connect({ host: server.host, port: v.port }, () => done(true));
+    sock.setTimeout(HEALTH_PROBE_TIMEOUT_MS, () => done(false, 'timeout'));
+    sock.on('error', (e) => done(false, e.code || e.message));
+  });
+}
+
+async function logHealthEvent(serverId, status, reason, movedUsers = 0) {
+  await pool.query(
+    `insert into server_health_events (server_id, status, reason, moved_users) values ($1,$2,$3,$4)`,
+    [serverId, status, reason, movedUsers]
+  );
+}
+
+// Перенос пользователей с сервера from: на to (если задан) или на выбранный pickServerForUser
+// (кроме from). Назначение не удаляется, пока нет цели: без неё пользователь остаётся на from
+// (draining-нода продолжает его обслуживать, повтор — на следующем проходе).
+// Без активной подписки просто снимаем назначение — сервер выберется при следующей выдаче.
+// Одна короткая транзакция на пачку; → id пользователей, чей сервер действительно сменился
+async function moveUsersBatch(uids, { from, to = null }) {
+  await pool.query(`
+    delete from server_allocations a
+    where a.user_id = any($1::bigint[]) and a.server_id = $2
+      and not exists (select 1 from vless_clients v where v.user_id = a.user_id and v.expires_at > now())
+  `, [uids, from]);
+
+  return withTransaction(async (client) => {
+    const rows = (await client.query(`
+      select a.user_id, u.preferred_country
+      from server_allocations a
+      join vless_clients v on v.user_id = a.user_id and v.expires_at > now()
+      left join users u on u.id = a.user_id
+      where a.user_id = any($1::bigint[]) and a.server_id = $2
+      for update of a
+    `, [uids, from])).rows; // кого уже перенесли (другой проход / выдача подписки) — тут не будет
+
+    const moved = [];
+    for (const r of rows) {
+      const target = to
+        || (r.preferred_country && await pickServerForUser({ country: r.preferred_country, exclude: from, client }))
+        || await pickServerForUser({ exclude: from, client });
+      if (!target || Number(target) === Number(from)) continue; // нет подходящих нод со слотами — ждём
+      await client.query(
+        `update server_allocations set server_id = $2, assigned_at = now() where user_id = $1`,
+        [r.user_id, target]
+      );
+      moved.push(Number(r.user_id));
+    }
+    return moved;
+  });
+}
+
+// Новый ключ в боте после переезда (после COMMIT пачки)
+async function notifyUserMoved(uid, reason) {
+  const v = await getActiveVlessLink(uid);
+  const s = await getUserServer(uid);
+  if (!v) return;
+  try { await notifyServerMoved(uid, v.link, s?.name || s?.host || '', reason); }
+  catch (e) { console.error('notifyServerMoved', uid, e?.description || e); }
+}
+
+// Переносит до limit пользователей сервера (раньше назначенные — первыми) пачками по MOVE_BATCH.
+// → { total, moved }
+const MOVE_BATCH = 50;
+async function moveServerUsers(serverId, { to = null, limit = null, reason = 'down' } = {}) {
+  const users = (await pool.query(`
+    select user_id from server_allocations
+    where server_id = $1
+    order by assigned_at asc
+    limit $2
+  `, [serverId, limit])).rows.map(r => Number(r.user_id));
+
+  let moved = 0;
+  for (let i = 0; i < users.length; i += MOVE_BATCH) {
+    let done = [];
+    try {
+      done = await moveUsersBatch(users.slice(i, i + MOVE_BATCH), { from: serverId, to });
+    } catch (e) {
+      console.error('[servers] move users', serverId, e?.description || e);
+      continue;
+    }
+    moved += done.length;
+    for (const uid of done) {
+      try { await notifyUserMoved(uid, reason); }
+      catch (e) { console.error('[servers] notify moved', uid, e?.description || e); }
+    }
+  }
+  return { total: users.length, moved };
+}
+
+const failoverServer = (server) => moveServerUsers(server.id, { reason: 'down' });
+
+// Drain: каждый проход монитора переносит DRAIN_BATCH пользователей, чтобы не ронять всех разом
+const DRAIN_BATCH = Number(process.env.DRAIN_BATCH || 20);
+async function runDrainOnce() {
+  const q = await pool.query(`select id from servers where draining is true`);
+  for (const { id } of q.rows) {
+    const r = await moveServerUsers(id, { limit: DRAIN_BATCH, reason: 'maintenance' });
+    if (r.total) console.log('[drain]', { serverId: id, ...r });
+  }
+}
+
+// Аренда задачи между инстансами API через app_settings: в отличие от session advisory lock
+// не держит клиент пула весь проход (failover крупной ноды не съест пул).
+// Истёкшую аренду (упавший инстанс) забирает следующий. → true, если аренда наша
+async function acquireLease(name, ttlSec) {
+  const q = await pool.query(`
+    insert into app_settings (key, value, updated_at)
+    values ($1, jsonb_build_object('until', now() + make_interval(secs => $2)), now())
+    on conflict (key) do update set value = excluded.value, updated_at = now()
+      where (app_settings.value->>'until')::timestamptz < now()
+    returning key
+  `, ['lease:' + name, ttlSec]);
+  return q.rowCount > 0;
+}
+
+async function releaseLease(name) {
+  await pool.query(`delete from app_settings where key = $1`, ['lease:' + name]);
+}
+
+async function runHealthCheckOnce() {
+  // несколько инстансов API — проверяет только один
+  if (!await acquireLease('server_health', Math.max(300, HEALTH_INTERVAL_SEC * 5))) return;
+  try {
+    const servers = (await pool.query(`
+      select id, name, host, port, config, health, health_fails, last_heartbeat
+      from servers where active is true
+    `)).rows;
+
+    let recovered = false;
+    for (const s of servers) {
+      const hbFresh = s.last_heartbeat && (Date.now() - new Date(s.last_heartbeat)) / 1000 < HEALTH_STALE_SEC;
+      let probe;
+      try {
+        probe = await probeServer(s);
+      } catch (e) {
+        probe = { ok: false, ms: 0, error: e.message || String(e) };
+      }
+      const fails = (probe.ok || hbFresh) ? 0 : (s.health_fails || 0) + 1;
+      const status = fails === 0 ? 'healthy' : fails >= HEALTH_FAIL_THRESHOLD ? 'unhealthy' : s.health;
+
+      await pool.query(`
+        update servers
+           set health = $2, health_fails = $3,
+               last_probe_at = now(), last_probe_ok = $4, last_probe_ms = $5, last_probe_error = $6
+         where id = $1
+      `, [s.id, status, fails, probe.ok, probe.ms, probe.error]);
+
+      if (status === s.health) continue;
+      if (status === 'unhealthy') {
+        const reason = `probe ${HEALTH_PROBE}: ${probe.error}; heartbeat ${s.last_heartbeat ? 'stale' : 'never'}`;
+        const r = await failoverServer(s);
+        await logHealthEvent(s.id, 'unhealthy', reason, r.moved);
+        console.warn('[health] server down', { id: s.id, name: s.name, reason, ...r });
+      } else if (status === 'healthy' && s.health === 'unhealthy') {
+        // обратно не переносим — нода просто снова доступна для новых назначений
+        await logHealthEvent(s.id, 'healthy', probe.ok ? `probe ${HEALTH_PROBE} ok` : 'heartbeat');
+        console.log('[health] server up', { id: s.id, name: s.name });
+        recovered = true;
+      }
+    }
+    // подписчики, оставшиеся без сервера при падении, — на поднявшуюся ноду
+    if (recovered) await backfillAllocations();
+    await runDrainOnce();
+  } finally {
+    await releaseLease('server_health');
+  }
+}
+
+function startHealthMonitor() {
+  const tick = () => runHealthCheckOnce().catch(e => console.error('[health]', e));
+  tick();
+  setInterval(tick, HEALTH_INTERVAL_SEC * 1000);
+}
+
+// Подписчики без назначенного сервера (выданы до появления servers) — назначаем,
+// иначе ни одна нода не получит их в /api/vpn/clients
+async function backfillAllocations() {
+  const q = await pool.query(`
+    select v.user_id
+    from vless_clients v
+    left join server_allocations a on a.user_id = v.user_id
+    where v.expires_at > now() and a.user_id is null
+  `);
+  for (const r of q.rows) {
+    try { await ensureUserServer(Number(r.user_id)); }
+    catch (e) { console.error('backfillAllocations', r.user_id, e); }
+  }
+  if (q.rowCount) console.log('[alloc] backfilled', q.rowCount);
+}
+
 // Инициализация БД и запуск планировщика
 await ensureSchema();
+await syncTariffsToDb();
+await backfillAllocations();
 startExpiryNotifier();
+startHealthMonitor();
+startPendingStarsRetry();
 
 
 app.listen(PORT, () => console.log('API listening on', PORT));
+await startBot({ mode: BOT_MODE, webhookUrl: TG_WEBHOOK_URL, secretToken: TG_WEBHOOK_SECRET });
 
   
 